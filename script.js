@@ -1,795 +1,63 @@
 // Cozy English Academy - Interactive English Learning Website
 // Author: Farangis Rajabova
 
-// Data for all grammar topics and questions
-const grammarTopics = [
-    {
-        id: 1,
-        title: "Personal Pronouns",
-        description: "I, you, he, she, it, we, they",
-        questions: [
-            { type: "multiple-choice", question: "___ am a student.", options: ["I", "He", "She"], answer: "I" },
-            { type: "multiple-choice", question: "___ is my brother.", options: ["I", "He", "We"], answer: "He" },
-            { type: "multiple-choice", question: "___ are good friends.", options: ["She", "He", "We"], answer: "We" },
-            { type: "multiple-choice", question: "___ is a doctor.", options: ["She", "We", "They"], answer: "She" },
-            { type: "multiple-choice", question: "___ are from London.", options: ["He", "They", "I"], answer: "They" },
-            { type: "multiple-choice", question: "___ is a cat.", options: ["It", "They", "We"], answer: "It" },
-            { type: "multiple-choice", question: "___ is my teacher.", options: ["She", "They", "It"], answer: "She" },
-            { type: "multiple-choice", question: "___ are students.", options: ["He", "She", "They"], answer: "They" },
-            { type: "fill-blank", question: "My sister ___ apples every day.", answer: "likes" },
-            { type: "fill-blank", question: "Muhammad said ___ is tired after work.", answer: "he" }
-        ]
-    },
-    {
-        id: 2,
-        title: "Object Pronouns",
-        description: "me, you, him, her, it, us, them",
-        questions: [
-            { type: "multiple-choice", question: "She gave ___ a book.", options: ["I", "me", "my"], answer: "me" },
-            { type: "multiple-choice", question: "I saw ___ yesterday.", options: ["he", "him", "his"], answer: "him" },
-            { type: "multiple-choice", question: "Can you help ___?", options: ["we", "us", "our"], answer: "us" },
-            { type: "multiple-choice", question: "He called ___ last night.", options: ["she", "her", "hers"], answer: "her" },
-            { type: "multiple-choice", question: "I don't know ___", options: ["they", "them", "their"], answer: "them" },
-            { type: "multiple-choice", question: "The teacher asked ___ a question.", options: ["I", "me", "my"], answer: "me" },
-            { type: "multiple-choice", question: "Muhammad told ___ the story.", options: ["we", "us", "our"], answer: "us" },
-            { type: "multiple-choice", question: "She likes ___", options: ["he", "him", "his"], answer: "him" },
-            { type: "fill-blank", question: "Please give ___ the pen when you finish.", answer: "me" },
-            { type: "fill-blank", question: "I will call ___ tomorrow at 5 PM.", answer: "you" }
-        ]
-    },
-    {
-        id: 3,
-        title: "Possessive Adjectives",
-        description: "my, your, his, her, its, our, their",
-        questions: [
-            { type: "multiple-choice", question: "This is ___ book.", options: ["I", "my", "me"], answer: "my" },
-            { type: "multiple-choice", question: "That is ___ car.", options: ["he", "his", "him"], answer: "his" },
-            { type: "multiple-choice", question: "___ name is Sarah.", options: ["Her", "She", "Hers"], answer: "Her" },
-            { type: "multiple-choice", question: "This is ___ house.", options: ["we", "our", "us"], answer: "our" },
-            { type: "multiple-choice", question: "___ teacher is very good.", options: ["They", "Their", "Them"], answer: "Their" },
-            { type: "multiple-choice", question: "Is this ___ pen?", options: ["you", "your", "yours"], answer: "your" },
-            { type: "multiple-choice", question: "Muhammad forgot ___ bag.", options: ["he", "his", "him"], answer: "his" },
-            { type: "multiple-choice", question: "The dog ate ___ food.", options: ["it", "its", "it's"], answer: "its" },
-            { type: "fill-blank", question: "I really like ___ new phone.", answer: "my" },
-            { type: "fill-blank", question: "She lost ___ keys somewhere in the house.", answer: "her" }
-        ]
-    },
-    {
-        id: 4,
-        title: "Possessive Pronouns",
-        description: "mine, yours, his, hers, its, ours, theirs",
-        questions: [
-            { type: "multiple-choice", question: "This book is ___", options: ["my", "mine", "I"], answer: "mine" },
-            { type: "multiple-choice", question: "Is this pen ___?", options: ["your", "yours", "you"], answer: "yours" },
-            { type: "multiple-choice", question: "That car is ___", options: ["he", "his", "him"], answer: "his" },
-            { type: "multiple-choice", question: "The red house is ___", options: ["they", "their", "theirs"], answer: "theirs" },
-            { type: "multiple-choice", question: "These shoes are ___", options: ["our", "ours", "us"], answer: "ours" },
-            { type: "multiple-choice", question: "The idea was ___", options: ["she", "her", "hers"], answer: "hers" },
-            { type: "multiple-choice", question: "Muhammad said the bag is ___", options: ["he", "his", "him"], answer: "his" },
-            { type: "multiple-choice", question: "Is this umbrella ___?", options: ["your", "yours", "you"], answer: "yours" },
-            { type: "fill-blank", question: "This phone is not yours, it's ___.", answer: "mine" },
-            { type: "fill-blank", question: "The victory was not ours, it was ___.", answer: "theirs" }
-        ]
-    },
-    {
-        id: 5,
-        title: "Reflexive Pronouns",
-        description: "myself, yourself, himself, herself, itself, ourselves, yourselves, themselves",
-        questions: [
-            { type: "multiple-choice", question: "I cut ___ while cooking.", options: ["me", "myself", "my"], answer: "myself" },
-            { type: "multiple-choice", question: "She bought ___ a new dress.", options: ["her", "herself", "hers"], answer: "herself" },
-            { type: "multiple-choice", question: "They enjoyed ___ at the party.", options: ["them", "themselves", "theirs"], answer: "themselves" },
-            { type: "multiple-choice", question: "He taught ___ to play guitar.", options: ["him", "himself", "his"], answer: "himself" },
-            { type: "multiple-choice", question: "We organized the event ___", options: ["our", "ourselves", "us"], answer: "ourselves" },
-            { type: "multiple-choice", question: "The cat cleaned ___", options: ["it", "itself", "its"], answer: "itself" },
-            { type: "multiple-choice", question: "Muhammad fixed the car ___", options: ["him", "himself", "his"], answer: "himself" },
-            { type: "multiple-choice", question: "You should do it ___", options: ["you", "yourself", "yours"], answer: "yourself" },
-            { type: "fill-blank", question: "I made this cake all by ___.", answer: "myself" },
-            { type: "fill-blank", question: "She spoke to ___ in the mirror every morning.", answer: "herself" }
-        ]
-    },
-    {
-        id: 6,
-        title: "Cardinal Numbers",
-        description: "one, two, three, ten, twenty, hundred",
-        questions: [
-            { type: "multiple-choice", question: "I have ___ apples.", options: ["one", "first", "ones"], answer: "one" },
-            { type: "multiple-choice", question: "There are ___ days in a week.", options: ["seven", "seventh", "sevens"], answer: "seven" },
-            { type: "multiple-choice", question: "She has ___ brothers.", options: ["two", "second", "twos"], answer: "two" },
-            { type: "multiple-choice", question: "Muhammad is ___ years old.", options: ["twenty", "twentieth", "twenties"], answer: "twenty" },
-            { type: "multiple-choice", question: "There are ___ students in the class.", options: ["thirty", "thirtieth", "thirty's"], answer: "thirty" },
-            { type: "multiple-choice", question: "I need ___ eggs for the recipe.", options: ["three", "third", "threes"], answer: "three" },
-            { type: "multiple-choice", question: "The book has ___ pages.", options: ["one hundred", "hundredth", "hundreds"], answer: "one hundred" },
-            { type: "multiple-choice", question: "We walked for ___ minutes.", options: ["fifteen", "fifteenth", "fifteens"], answer: "fifteen" },
-            { type: "fill-blank", question: "There are exactly ___ months in a year.", answer: "twelve" },
-            { type: "fill-blank", question: "I bought ___ oranges from the market.", answer: "five" }
-        ]
-    },
-    {
-        id: 7,
-        title: "Ordinal Numbers",
-        description: "first, second, third, fifth, tenth",
-        questions: [
-            { type: "multiple-choice", question: "January is the ___ month.", options: ["one", "first", "ones"], answer: "first" },
-            { type: "multiple-choice", question: "My birthday is on the ___ of May.", options: ["five", "fifth", "fives"], answer: "fifth" },
-            { type: "multiple-choice", question: "This is my ___ time in London.", options: ["two", "second", "twos"], answer: "second" },
-            { type: "multiple-choice", question: "She finished in ___ place.", options: ["three", "third", "threes"], answer: "third" },
-            { type: "multiple-choice", question: "Muhammad lives on the ___ floor.", options: ["ten", "tenth", "tenths"], answer: "tenth" },
-            { type: "multiple-choice", question: "Today is the ___ of June.", options: ["eight", "eighth", "eighths"], answer: "eighth" },
-            { type: "multiple-choice", question: "This is our ___ anniversary.", options: ["four", "fourth", "fourths"], answer: "fourth" },
-            { type: "multiple-choice", question: "He came in ___ in the race.", options: ["seven", "seventh", "sevenths"], answer: "seventh" },
-            { type: "fill-blank", question: "It's my ___ visit to Paris, and I'm very excited.", answer: "first" },
-            { type: "fill-blank", question: "Her office is on the ___ floor of the building.", answer: "third" }
-        ]
-    },
-    {
-        id: 8,
-        title: "Demonstrative Pronouns",
-        description: "This, That, These, Those",
-        questions: [
-            { type: "multiple-choice", question: "___ is my book (near me).", options: ["This", "That", "These"], answer: "This" },
-            { type: "multiple-choice", question: "___ are my keys (near me).", options: ["This", "That", "These"], answer: "These" },
-            { type: "multiple-choice", question: "___ is your bag over there.", options: ["This", "That", "These"], answer: "That" },
-            { type: "multiple-choice", question: "___ are my friends over there.", options: ["This", "That", "Those"], answer: "Those" },
-            { type: "multiple-choice", question: "Look at ___ beautiful flowers!", options: ["this", "that", "these"], answer: "these" },
-            { type: "multiple-choice", question: "___ car is very fast.", options: ["This", "That", "Those"], answer: "That" },
-            { type: "multiple-choice", question: "Muhammad said, '___ is my sister.' (pointing nearby)", options: ["This", "That", "These"], answer: "This" },
-            { type: "multiple-choice", question: "___ books on the shelf are old.", options: ["This", "That", "Those"], answer: "Those" },
-            { type: "fill-blank", question: "___ house right here is where I live.", answer: "This" },
-            { type: "fill-blank", question: "Look at ___ mountains far away - they're very high.", answer: "those" }
-        ]
-    },
-    {
-        id: 9,
-        title: "Verb 'To Be' - Present",
-        description: "am, is, are",
-        questions: [
-            { type: "multiple-choice", question: "I ___ a student.", options: ["am", "is", "are"], answer: "am" },
-            { type: "multiple-choice", question: "He ___ my brother.", options: ["am", "is", "are"], answer: "is" },
-            { type: "multiple-choice", question: "We ___ friends.", options: ["am", "is", "are"], answer: "are" },
-            { type: "multiple-choice", question: "She ___ a doctor.", options: ["am", "is", "are"], answer: "is" },
-            { type: "multiple-choice", question: "They ___ from London.", options: ["am", "is", "are"], answer: "are" },
-            { type: "multiple-choice", question: "It ___ a cat.", options: ["am", "is", "are"], answer: "is" },
-            { type: "multiple-choice", question: "You ___ my teacher.", options: ["am", "is", "are"], answer: "are" },
-            { type: "multiple-choice", question: "Muhammad ___ a good student.", options: ["am", "is", "are"], answer: "is" },
-            { type: "fill-blank", question: "I ___ very happy today.", answer: "am" },
-            { type: "fill-blank", question: "They ___ at school right now.", answer: "are" }
-        ]
-    },
-    {
-        id: 10,
-        title: "Verb 'To Be' - Past",
-        description: "was, were",
-        questions: [
-            { type: "multiple-choice", question: "I ___ at home yesterday.", options: ["was", "were", "am"], answer: "was" },
-            { type: "multiple-choice", question: "They ___ in London last week.", options: ["was", "were", "are"], answer: "were" },
-            { type: "multiple-choice", question: "She ___ tired after work.", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "We ___ happy to see you.", options: ["was", "were", "are"], answer: "were" },
-            { type: "multiple-choice", question: "He ___ at the party last night.", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "You ___ late for class.", options: ["was", "were", "are"], answer: "were" },
-            { type: "multiple-choice", question: "Muhammad ___ sick yesterday.", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "The children ___ excited about the trip.", options: ["was", "were", "are"], answer: "were" },
-            { type: "fill-blank", question: "It ___ very cold yesterday.", answer: "was" },
-            { type: "fill-blank", question: "We ___ at the cinema last night.", answer: "were" }
-        ]
-    },
-    {
-        id: 11,
-        title: "Verb 'To Be' - Future",
-        description: "will be",
-        questions: [
-            { type: "multiple-choice", question: "I ___ at home tomorrow.", options: ["will be", "was", "am"], answer: "will be" },
-            { type: "multiple-choice", question: "They ___ in Paris next month.", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "She ___ a doctor in the future.", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "We ___ happy to help you.", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "He ___ here soon.", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "You ___ surprised by the news.", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "Muhammad ___ at the meeting tomorrow.", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "The weather ___ nice next week.", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "fill-blank", question: "I ___ ready in five minutes.", answer: "will be" },
-            { type: "fill-blank", question: "They ___ here at exactly 5 PM.", answer: "will be" }
-        ]
-    },
-    {
-        id: 12,
-        title: "Present Simple Tense",
-        description: "I work, he works, they live, she studies",
-        questions: [
-            { type: "multiple-choice", question: "I ___ English every day.", options: ["study", "studies", "studying"], answer: "study" },
-            { type: "multiple-choice", question: "He ___ to work by bus.", options: ["go", "goes", "going"], answer: "goes" },
-            { type: "multiple-choice", question: "We ___ TV in the evening.", options: ["watch", "watches", "watching"], answer: "watch" },
-            { type: "multiple-choice", question: "She ___ in an office.", options: ["work", "works", "working"], answer: "works" },
-            { type: "multiple-choice", question: "They ___ in London.", options: ["live", "lives", "living"], answer: "live" },
-            { type: "multiple-choice", question: "Muhammad ___ coffee every morning.", options: ["drink", "drinks", "drinking"], answer: "drinks" },
-            { type: "multiple-choice", question: "I usually ___ at 7 AM.", options: ["wake up", "wakes up", "waking up"], answer: "wake up" },
-            { type: "multiple-choice", question: "My parents ___ in a small town.", options: ["live", "lives", "living"], answer: "live" },
-            { type: "fill-blank", question: "She always ___ to music while studying.", answer: "listens" },
-            { type: "fill-blank", question: "We ___ football every Saturday.", answer: "play" }
-        ]
-    },
-    {
-        id: 13,
-        title: "Past Simple Tense (Regular Verbs)",
-        description: "worked, played, cleaned, visited",
-        questions: [
-            { type: "multiple-choice", question: "I ___ TV yesterday.", options: ["watch", "watched", "watching"], answer: "watched" },
-            { type: "multiple-choice", question: "She ___ her homework last night.", options: ["finish", "finished", "finishing"], answer: "finished" },
-            { type: "multiple-choice", question: "We ___ to the park on Sunday.", options: ["walk", "walked", "walking"], answer: "walked" },
-            { type: "multiple-choice", question: "He ___ the dishes after dinner.", options: ["wash", "washed", "washing"], answer: "washed" },
-            { type: "multiple-choice", question: "They ___ football yesterday.", options: ["play", "played", "playing"], answer: "played" },
-            { type: "multiple-choice", question: "Muhammad ___ his room yesterday.", options: ["clean", "cleaned", "cleaning"], answer: "cleaned" },
-            { type: "multiple-choice", question: "I ___ my grandmother last week.", options: ["visit", "visited", "visiting"], answer: "visited" },
-            { type: "multiple-choice", question: "She ___ to music all evening.", options: ["listen", "listened", "listening"], answer: "listened" },
-            { type: "fill-blank", question: "We ___ for the test all night.", answer: "studied" },
-            { type: "fill-blank", question: "He ___ his car last weekend.", answer: "washed" }
-        ]
-    },
-    {
-        id: 14,
-        title: "Future Simple Tense (will)",
-        description: "will work, will play, will study",
-        questions: [
-            { type: "multiple-choice", question: "I ___ you tomorrow.", options: ["call", "will call", "called"], answer: "will call" },
-            { type: "multiple-choice", question: "She ___ to the party next week.", options: ["come", "will come", "came"], answer: "will come" },
-            { type: "multiple-choice", question: "We ___ dinner at 7 PM.", options: ["have", "will have", "had"], answer: "will have" },
-            { type: "multiple-choice", question: "They ___ their homework tonight.", options: ["do", "will do", "did"], answer: "will do" },
-            { type: "multiple-choice", question: "He ___ a new car next year.", options: ["buy", "will buy", "bought"], answer: "will buy" },
-            { type: "multiple-choice", question: "Muhammad ___ to London next month.", options: ["travel", "will travel", "traveled"], answer: "will travel" },
-            { type: "multiple-choice", question: "I ___ you with your project.", options: ["help", "will help", "helped"], answer: "will help" },
-            { type: "multiple-choice", question: "The meeting ___ at 3 PM.", options: ["start", "will start", "started"], answer: "will start" },
-            { type: "fill-blank", question: "She ___ the report by tomorrow evening.", answer: "will finish" },
-            { type: "fill-blank", question: "We ___ early tomorrow morning.", answer: "will leave" }
-        ]
-    },
-    {
-        id: 15,
-        title: "There is / There are",
-        description: "There is a book, There are books",
-        questions: [
-            { type: "multiple-choice", question: "___ a book on the table.", options: ["There is", "There are", "There"], answer: "There is" },
-            { type: "multiple-choice", question: "___ three chairs in the room.", options: ["There is", "There are", "There"], answer: "There are" },
-            { type: "multiple-choice", question: "___ a cat in the garden.", options: ["There is", "There are", "There"], answer: "There is" },
-            { type: "multiple-choice", question: "___ many people at the party.", options: ["There is", "There are", "There"], answer: "There are" },
-            { type: "multiple-choice", question: "___ a problem with the computer.", options: ["There is", "There are", "There"], answer: "There is" },
-            { type: "multiple-choice", question: "___ some milk in the fridge.", options: ["There is", "There are", "There"], answer: "There is" },
-            { type: "multiple-choice", question: "___ two apples on the plate.", options: ["There is", "There are", "There"], answer: "There are" },
-            { type: "multiple-choice", question: "___ a letter for you.", options: ["There is", "There are", "There"], answer: "There is" },
-            { type: "fill-blank", question: "___ a pen in my bag if you need one.", answer: "There is" },
-            { type: "fill-blank", question: "___ many students in the classroom today.", answer: "There are" }
-        ]
-    },
-    {
-        id: 16,
-        title: "There was / There were",
-        description: "There was a house, There were cars",
-        questions: [
-            { type: "multiple-choice", question: "___ a party last night.", options: ["There was", "There were", "There is"], answer: "There was" },
-            { type: "multiple-choice", question: "___ many people at the concert.", options: ["There was", "There were", "There is"], answer: "There were" },
-            { type: "multiple-choice", question: "___ a big tree in the garden.", options: ["There was", "There were", "There is"], answer: "There was" },
-            { type: "multiple-choice", question: "___ three cats in the house.", options: ["There was", "There were", "There is"], answer: "There were" },
-            { type: "multiple-choice", question: "___ a problem with the car.", options: ["There was", "There were", "There is"], answer: "There was" },
-            { type: "multiple-choice", question: "___ some coffee in the cup.", options: ["There was", "There were", "There is"], answer: "There was" },
-            { type: "multiple-choice", question: "___ two books on the table.", options: ["There was", "There were", "There is"], answer: "There were" },
-            { type: "multiple-choice", question: "___ a beautiful sunset yesterday.", options: ["There was", "There were", "There is"], answer: "There was" },
-            { type: "fill-blank", question: "___ a good film on TV last night.", answer: "There was" },
-            { type: "fill-blank", question: "___ many students in the classroom yesterday.", answer: "There were" }
-        ]
-    },
-    {
-        id: 17,
-        title: "Prepositions of Place",
-        description: "in, on, under, behind, next to",
-        questions: [
-            { type: "multiple-choice", question: "The book is ___ the table.", options: ["in", "on", "at"], answer: "on" },
-            { type: "multiple-choice", question: "The cat is ___ the box.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "The ball is ___ the bed.", options: ["under", "on", "in"], answer: "under" },
-            { type: "multiple-choice", question: "She is standing ___ the door.", options: ["behind", "on", "in"], answer: "behind" },
-            { type: "multiple-choice", question: "The school is ___ the hospital.", options: ["next to", "in", "on"], answer: "next to" },
-            { type: "multiple-choice", question: "Muhammad is ___ the classroom.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "The keys are ___ the drawer.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "The picture is ___ the wall.", options: ["on", "in", "at"], answer: "on" },
-            { type: "fill-blank", question: "The cat is sleeping ___ the tree.", answer: "under" },
-            { type: "fill-blank", question: "He is sitting right ___ me in the classroom.", answer: "next to" }
-        ]
-    },
-    {
-        id: 18,
-        title: "Prepositions of Time",
-        description: "in, on, at, morning, night, Monday",
-        questions: [
-            { type: "multiple-choice", question: "I go to work ___ the morning.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "We have class ___ Monday.", options: ["in", "on", "at"], answer: "on" },
-            { type: "multiple-choice", question: "The meeting starts ___ 9 o'clock.", options: ["in", "on", "at"], answer: "at" },
-            { type: "multiple-choice", question: "My birthday is ___ July.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "I'll see you ___ Friday.", options: ["in", "on", "at"], answer: "on" },
-            { type: "multiple-choice", question: "Muhammad studies ___ the evening.", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "The shop closes ___ 6 PM.", options: ["in", "on", "at"], answer: "at" },
-            { type: "multiple-choice", question: "We go on holiday ___ summer.", options: ["in", "on", "at"], answer: "in" },
-            { type: "fill-blank", question: "I usually wake up ___ 7 AM every morning.", answer: "at" },
-            { type: "fill-blank", question: "She was born ___ 1990 in London.", answer: "in" }
-        ]
-    },
-    {
-        id: 19,
-        title: "Modal Verbs: Can / Could / Be able to",
-        description: "ability and permission",
-        questions: [
-            { type: "multiple-choice", question: "I ___ swim when I was five.", options: ["can", "could", "am able to"], answer: "could" },
-            { type: "multiple-choice", question: "She ___ speak three languages.", options: ["can", "could", "was able to"], answer: "can" },
-            { type: "multiple-choice", question: "___ you help me with this?", options: ["Can", "Could", "Are able to"], answer: "Can" },
-            { type: "multiple-choice", question: "They ___ come to the party yesterday.", options: ["can", "could", "were able to"], answer: "were able to" },
-            { type: "multiple-choice", question: "___ I borrow your pen?", options: ["Can", "Could", "Am able to"], answer: "Can" },
-            { type: "multiple-choice", question: "Muhammad ___ play the piano very well.", options: ["can", "could", "is able to"], answer: "can" },
-            { type: "multiple-choice", question: "We ___ finish the project on time.", options: ["can", "could", "were able to"], answer: "were able to" },
-            { type: "multiple-choice", question: "___ you open the window, please?", options: ["Can", "Could", "Are able to"], answer: "Could" },
-            { type: "fill-blank", question: "I ___ speak French fluently.", answer: "can" },
-            { type: "fill-blank", question: "He ___ solve the difficult problem.", answer: "was able to" }
-        ]
-    },
-    {
-        id: 20,
-        title: "Modal Verbs: Must / Have to / Should",
-        description: "obligation, necessity, advice",
-        questions: [
-            { type: "multiple-choice", question: "You ___ wear a seatbelt in the car.", options: ["must", "have to", "should"], answer: "must" },
-            { type: "multiple-choice", question: "I ___ go to the bank today.", options: ["must", "have to", "should"], answer: "have to" },
-            { type: "multiple-choice", question: "You ___ see that movie, it's great!", options: ["must", "have to", "should"], answer: "should" },
-            { type: "multiple-choice", question: "Students ___ do their homework.", options: ["must", "have to", "should"], answer: "must" },
-            { type: "multiple-choice", question: "We ___ be quiet in the library.", options: ["must", "have to", "should"], answer: "must" },
-            { type: "multiple-choice", question: "Muhammad ___ study for his exam.", options: ["must", "has to", "should"], answer: "has to" },
-            { type: "multiple-choice", question: "You ___ try this cake, it's delicious!", options: ["must", "have to", "should"], answer: "should" },
-            { type: "multiple-choice", question: "I ___ wake up early tomorrow.", options: ["must", "have to", "should"], answer: "have to" },
-            { type: "fill-blank", question: "You ___ drive on the left in the UK.", answer: "must" },
-            { type: "fill-blank", question: "We ___ finish this report by today.", answer: "have to" }
-        ]
-    },
-    {
-        id: 21,
-        title: "Used to",
-        description: "past habits and states",
-        questions: [
-            { type: "multiple-choice", question: "I ___ play football when I was young.", options: ["used to", "use to", "am used to"], answer: "used to" },
-            { type: "multiple-choice", question: "She ___ have long hair.", options: ["used to", "use to", "is used to"], answer: "used to" },
-            { type: "multiple-choice", question: "We ___ live in London.", options: ["used to", "use to", "are used to"], answer: "used to" },
-            { type: "multiple-choice", question: "He ___ smoke, but he quit last year.", options: ["used to", "use to", "is used to"], answer: "used to" },
-            { type: "multiple-choice", question: "They ___ go to that school.", options: ["used to", "use to", "are used to"], answer: "used to" },
-            { type: "multiple-choice", question: "Muhammad ___ drink coffee, but now he prefers tea.", options: ["used to", "use to", "is used to"], answer: "used to" },
-            { type: "multiple-choice", question: "There ___ be a park here.", options: ["used to", "use to", "was used to"], answer: "used to" },
-            { type: "multiple-choice", question: "I ___ like vegetables, but now I love them.", options: ["didn't use to", "didn't used to", "wasn't used to"], answer: "didn't use to" },
-            { type: "fill-blank", question: "I ___ walk to school when I was a child.", answer: "used to" },
-            { type: "fill-blank", question: "She ___ live in Paris before moving to London.", answer: "used to" }
-        ]
-    },
-    {
-        id: 22,
-        title: "Needn't have vs Didn't need to",
-        description: "unnecessary actions in the past",
-        questions: [
-            { type: "multiple-choice", question: "I ___ buy milk because we already had some.", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "She ___ go to the bank because she had enough cash.", options: ["needn't have", "didn't need to", "needn't to"], answer: "didn't need to" },
-            { type: "multiple-choice", question: "We ___ hurry because the train was late.", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "He ___ worry about the test because it was easy.", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "They ___ cook because we ordered pizza.", options: ["needn't have", "didn't need to", "needn't to"], answer: "didn't need to" },
-            { type: "multiple-choice", question: "Muhammad ___ study so hard for the easy exam.", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "You ___ bring an umbrella because it didn't rain.", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "I ___ call him because he called me first.", options: ["needn't have", "didn't need to", "needn't to"], answer: "didn't need to" },
-            { type: "fill-blank", question: "She ___ buy tickets; they were already free.", answer: "needn't have" },
-            { type: "fill-blank", question: "We ___ rush; we had plenty of time.", answer: "didn't need to" }
-        ]
-    },
-    {
-        id: 23,
-        title: "WH-Questions",
-        description: "who, what, where, when, why, how",
-        questions: [
-            { type: "multiple-choice", question: "___ is your name?", options: ["Who", "What", "Where"], answer: "What" },
-            { type: "multiple-choice", question: "___ do you live?", options: ["Who", "What", "Where"], answer: "Where" },
-            { type: "multiple-choice", question: "___ old are you?", options: ["How", "What", "When"], answer: "How" },
-            { type: "multiple-choice", question: "___ is your birthday?", options: ["When", "What", "Where"], answer: "When" },
-            { type: "multiple-choice", question: "___ is that man?", options: ["Who", "What", "Where"], answer: "Who" },
-            { type: "multiple-choice", question: "___ do you study English?", options: ["Why", "What", "When"], answer: "Why" },
-            { type: "multiple-choice", question: "___ is your favorite color?", options: ["What", "Who", "Where"], answer: "What" },
-            { type: "multiple-choice", question: "___ does Muhammad work?", options: ["Where", "What", "When"], answer: "Where" },
-            { type: "fill-blank", question: "___ time does the movie start?", answer: "What" },
-            { type: "fill-blank", question: "___ are you going after class?", answer: "Where" }
-        ]
-    }
-];
-
-// Vocabulary data - DIRECTLY LINKED TO GRAMMAR TOPICS - TRANSLATION-BASED
-const vocabularyTopics = [
-    {
-        id: 1,
-        title: "Personal Pronouns",
-        description: "I, you, he, she, it, we, they",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «я»:", options: ["I", "He", "We"], answer: "I" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «он»:", options: ["He", "She", "They"], answer: "He" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «она»:", options: ["She", "He", "They"], answer: "She" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «мы»:", options: ["We", "You", "They"], answer: "We" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «они»:", options: ["They", "We", "You"], answer: "They" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «оно»:", options: ["It", "He", "She"], answer: "It" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ты мой друг.»", options: ["You are my friend.", "I am your friend.", "He is my friend."], answer: "You are my friend." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Вы студенты.»", options: ["You are students.", "We are students.", "They are students."], answer: "You are students." },
-            { type: "fill-blank", question: "Переведите на английский: Он сейчас дома.", answer: "He is at home now." },
-            { type: "fill-blank", question: "Переведите на английский: Мы хорошие друзья.", answer: "We are good friends." }
-        ]
-    },
-    {
-        id: 2,
-        title: "Object Pronouns",
-        description: "me, you, him, her, it, us, them",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «меня»:", options: ["me", "my", "I"], answer: "me" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «его»:", options: ["him", "his", "he"], answer: "him" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «её»:", options: ["her", "his", "she"], answer: "her" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «нас»:", options: ["us", "our", "we"], answer: "us" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «их»:", options: ["them", "their", "they"], answer: "them" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она видит меня.»", options: ["She sees me.", "She sees you.", "She sees him."], answer: "She sees me." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я помогаю им.»", options: ["I help them.", "I help us.", "I help you."], answer: "I help them." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Он звонит тебе.»", options: ["He calls you.", "He calls me.", "He calls her."], answer: "He calls you." },
-            { type: "fill-blank", question: "Переведите на английский: Она дала мне книгу.", answer: "She gave me a book." },
-            { type: "fill-blank", question: "Переведите на английский: Я видел его вчера.", answer: "I saw him yesterday." }
-        ]
-    },
-    {
-        id: 3,
-        title: "Possessive Adjectives",
-        description: "my, your, his, her, its, our, their",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «мой»:", options: ["my", "your", "our"], answer: "my" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «твой»:", options: ["your", "my", "our"], answer: "your" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «его»:", options: ["his", "her", "their"], answer: "his" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «её»:", options: ["her", "his", "their"], answer: "her" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «наш»:", options: ["our", "your", "their"], answer: "our" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «их»:", options: ["their", "our", "your"], answer: "their" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Это мой дом.»", options: ["This is my house.", "This is your house.", "This is his house."], answer: "This is my house." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Это их машина.»", options: ["That is their car.", "That is our car.", "That is his car."], answer: "That is their car." },
-            { type: "fill-blank", question: "Переведите на английский: Это его книга.", answer: "This is his book." },
-            { type: "fill-blank", question: "Переведите на английский: Наш учитель очень добрый.", answer: "Our teacher is very kind." }
-        ]
-    },
-    {
-        id: 4,
-        title: "Possessive Pronouns",
-        description: "mine, yours, his, hers, its, ours, theirs",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «мой»:", options: ["mine", "my", "me"], answer: "mine" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «твой»:", options: ["yours", "your", "you"], answer: "yours" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «его»:", options: ["his", "him", "he"], answer: "his" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «её»:", options: ["hers", "her", "she"], answer: "hers" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «наш»:", options: ["ours", "our", "us"], answer: "ours" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «их»:", options: ["theirs", "their", "they"], answer: "theirs" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Эта книга моя.»", options: ["This book is mine.", "This book is yours.", "This book is his."], answer: "This book is mine." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Эти туфли наши.»", options: ["These shoes are ours.", "These shoes are yours.", "These shoes are theirs."], answer: "These shoes are ours." },
-            { type: "fill-blank", question: "Переведите на английский: Эта сумка её.", answer: "This bag is hers." },
-            { type: "fill-blank", question: "Переведите на английский: Эта победа их.", answer: "This victory is theirs." }
-        ]
-    },
-    {
-        id: 5,
-        title: "Reflexive Pronouns",
-        description: "myself, yourself, himself, herself, itself, ourselves, yourselves, themselves",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сам»:", options: ["myself", "yourself", "himself"], answer: "myself" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сам» (ты):", options: ["yourself", "myself", "himself"], answer: "yourself" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сам» (он):", options: ["himself", "herself", "itself"], answer: "himself" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сама»:", options: ["herself", "himself", "itself"], answer: "herself" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сами»:", options: ["themselves", "ourselves", "yourselves"], answer: "themselves" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я сделал это сам.»", options: ["I did it myself.", "I did it for myself.", "I did it alone."], answer: "I did it myself." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она купила себе платье.»", options: ["She bought herself a dress.", "She bought a dress herself.", "She bought a dress for him."], answer: "She bought herself a dress." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Они организовали вечеринку сами.»", options: ["They organized the party themselves.", "They organized the party for themselves.", "They organized the party together."], answer: "They organized the party themselves." },
-            { type: "fill-blank", question: "Переведите на английский: Я приготовил этот торт сам.", answer: "I made this cake myself." },
-            { type: "fill-blank", question: "Переведите на английский: Она разговаривала сама с собой.", answer: "She was talking to herself." }
-        ]
-    },
-    {
-        id: 6,
-        title: "Cardinal Numbers",
-        description: "one, two, three, ten, twenty, hundred",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «один»:", options: ["one", "first", "once"], answer: "one" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «два»:", options: ["two", "second", "twice"], answer: "two" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «десять»:", options: ["ten", "tenth", "dozen"], answer: "ten" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «двадцать»:", options: ["twenty", "twentieth", "twelve"], answer: "twenty" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «сто»:", options: ["hundred", "hundredth", "century"], answer: "hundred" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «У меня три яблока.»", options: ["I have three apples.", "I have third apple.", "I have thirty apples."], answer: "I have three apples." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «В неделе семь дней.»", options: ["There are seven days in a week.", "It's the seventh day of the week.", "There are seventy days in a week."], answer: "There are seven days in a week." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ему пятнадцать лет.»", options: ["He is fifteen years old.", "It's his fiftieth year.", "He is fifty years old."], answer: "He is fifteen years old." },
-            { type: "fill-blank", question: "Переведите на английский: У меня пять карандашей.", answer: "I have five pencils." },
-            { type: "fill-blank", question: "Переведите на английский: В классе тридцать студентов.", answer: "There are thirty students in the class." }
-        ]
-    },
-    {
-        id: 7,
-        title: "Ordinal Numbers",
-        description: "first, second, third, fifth, tenth",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «первый»:", options: ["first", "one", "primary"], answer: "first" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «второй»:", options: ["second", "two", "secondary"], answer: "second" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «третий»:", options: ["third", "three", "triple"], answer: "third" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «пятый»:", options: ["fifth", "five", "fifteen"], answer: "fifth" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «десятый»:", options: ["tenth", "ten", "dozen"], answer: "tenth" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Это мой первый визит.»", options: ["This is my first visit.", "This is my one visit.", "This is my main visit."], answer: "This is my first visit." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она живёт на восьмом этаже.»", options: ["She lives on the eighth floor.", "She lives on the eight floor.", "She lives on floor eight."], answer: "She lives on the eighth floor." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Сегодня пятое мая.»", options: ["Today is the fifth of May.", "Today is five May.", "Today is May fifth."], answer: "Today is the fifth of May." },
-            { type: "fill-blank", question: "Переведите на английский: Это её третий день в школе.", answer: "This is her third day at school." },
-            { type: "fill-blank", question: "Переведите на английский: Мой офис на втором этаже.", answer: "My office is on the second floor." }
-        ]
-    },
-    {
-        id: 8,
-        title: "Demonstrative Pronouns",
-        description: "This, That, These, Those",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «этот»:", options: ["this", "that", "these"], answer: "this" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «тот»:", options: ["that", "this", "it"], answer: "that" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «эти»:", options: ["these", "those", "this"], answer: "these" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «те»:", options: ["those", "these", "that"], answer: "those" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Это моя книга.»", options: ["This is my book.", "That is my book.", "These are my books."], answer: "This is my book." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Та машина быстрая.»", options: ["That car is fast.", "This car is fast.", "Those cars are fast."], answer: "That car is fast." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Эти цветы красивые.»", options: ["These flowers are beautiful.", "Those flowers are beautiful.", "This flower is beautiful."], answer: "These flowers are beautiful." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Те горы высокие.»", options: ["Those mountains are high.", "These mountains are high.", "That mountain is high."], answer: "Those mountains are high." },
-            { type: "fill-blank", question: "Переведите на английский: Этот дом мой.", answer: "This house is mine." },
-            { type: "fill-blank", question: "Переведите на английский: Те книги интересные.", answer: "Those books are interesting." }
-        ]
-    },
-    {
-        id: 9,
-        title: "Verb 'To Be' - Present",
-        description: "am, is, are",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я ... студент»:", options: ["am", "is", "are"], answer: "am" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Он ... мой брат»:", options: ["is", "am", "are"], answer: "is" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Мы ... друзья»:", options: ["are", "am", "is"], answer: "are" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Она ... доктор»:", options: ["is", "am", "are"], answer: "is" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Они ... из Лондона»:", options: ["are", "is", "am"], answer: "are" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Оно ... кот»:", options: ["is", "are", "am"], answer: "is" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Вы ... хороший учитель»:", options: ["are", "is", "am"], answer: "are" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я ... счастлив сегодня»:", options: ["am", "is", "are"], answer: "am" },
-            { type: "fill-blank", question: "Переведите на английский: Она сейчас в школе.", answer: "She is at school now." },
-            { type: "fill-blank", question: "Переведите на английский: Они счастливы сегодня.", answer: "They are happy today." }
-        ]
-    },
-    {
-        id: 10,
-        title: "Verb 'To Be' - Past",
-        description: "was, were",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я ... дома вчера»:", options: ["was", "were", "am"], answer: "was" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Они ... в Лондоне»:", options: ["were", "was", "are"], answer: "were" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Она ... уставшей»:", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Мы ... счастливы»:", options: ["were", "was", "are"], answer: "were" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Он ... на вечеринке»:", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Вы ... опоздали»:", options: ["were", "was", "are"], answer: "were" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Оно ... холодно вчера»:", options: ["was", "were", "is"], answer: "was" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Дети ... взволнованы»:", options: ["were", "was", "are"], answer: "were" },
-            { type: "fill-blank", question: "Переведите на английский: Вчера было холодно.", answer: "It was cold yesterday." },
-            { type: "fill-blank", question: "Переведите на английский: Мы были в кино вчера вечером.", answer: "We were at the cinema yesterday evening." }
-        ]
-    },
-    {
-        id: 11,
-        title: "Verb 'To Be' - Future",
-        description: "will be",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я ... дома завтра»:", options: ["will be", "was", "am"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Они ... в Париже»:", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Она ... врачом»:", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Мы ... рады помочь»:", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Он ... здесь скоро»:", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Вы ... удивлены»:", options: ["will be", "were", "are"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Погода ... хорошей»:", options: ["will be", "was", "is"], answer: "will be" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я ... готов через пять минут»:", options: ["will be", "was", "am"], answer: "will be" },
-            { type: "fill-blank", question: "Переведите на английский: Я буду готов через пять минут.", answer: "I will be ready in five minutes." },
-            { type: "fill-blank", question: "Переведите на английский: Они будут здесь в 5 часов.", answer: "They will be here at 5 o'clock." }
-        ]
-    },
-    {
-        id: 12,
-        title: "Present Simple Tense",
-        description: "I work, he works, they live, she studies",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я работаю.»", options: ["I work", "I worked", "I will work"], answer: "I work" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Он работает.»", options: ["He works", "He worked", "He will work"], answer: "He works" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Они живут.»", options: ["They live", "They lived", "They will live"], answer: "They live" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Она учится.»", options: ["She studies", "She studied", "She will study"], answer: "She studies" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я учу английский каждый день.»", options: ["I study English every day.", "I studied English every day.", "I will study English every day."], answer: "I study English every day." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Он ездит на работу на автобусе.»", options: ["He goes to work by bus.", "He went to work by bus.", "He will go to work by bus."], answer: "He goes to work by bus." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мы смотрим телевизор вечером.»", options: ["We watch TV in the evening.", "We watched TV in the evening.", "We will watch TV in the evening."], answer: "We watch TV in the evening." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она работает в офисе.»", options: ["She works in an office.", "She worked in an office.", "She will work in an office."], answer: "She works in an office." },
-            { type: "fill-blank", question: "Переведите на английский: Он живёт в Лондоне.", answer: "He lives in London." },
-            { type: "fill-blank", question: "Переведите на английский: Мы играем в футбол по субботам.", answer: "We play football on Saturdays." }
-        ]
-    },
-    {
-        id: 13,
-        title: "Past Simple Tense (Regular Verbs)",
-        description: "worked, played, cleaned, visited",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «работал»:", options: ["worked", "work", "will work"], answer: "worked" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «играл»:", options: ["played", "play", "will play"], answer: "played" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «убирал»:", options: ["cleaned", "clean", "will clean"], answer: "cleaned" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «посещал»:", options: ["visited", "visit", "will visit"], answer: "visited" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я смотрел телевизор вчера.»", options: ["I watched TV yesterday.", "I watch TV yesterday.", "I will watch TV yesterday."], answer: "I watched TV yesterday." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она закончила домашнее задание.»", options: ["She finished her homework.", "She finishes her homework.", "She will finish her homework."], answer: "She finished her homework." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мы ходили в парк.»", options: ["We walked to the park.", "We walk to the park.", "We will walk to the park."], answer: "We walked to the park." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Он помыл посуду.»", options: ["He washed the dishes.", "He washes the dishes.", "He will wash the dishes."], answer: "He washed the dishes." },
-            { type: "fill-blank", question: "Переведите на английский: Они играли в футбол вчера.", answer: "They played football yesterday." },
-            { type: "fill-blank", question: "Переведите на английский: Я посетил бабушку на прошлой неделе.", answer: "I visited my grandmother last week." }
-        ]
-    },
-    {
-        id: 14,
-        title: "Future Simple Tense (will)",
-        description: "will work, will play, will study",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «буду работать»:", options: ["will work", "work", "worked"], answer: "will work" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «буду играть»:", options: ["will play", "play", "played"], answer: "will play" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «буду учиться»:", options: ["will study", "study", "studied"], answer: "will study" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я позвоню тебе завтра.»", options: ["I will call you tomorrow.", "I call you tomorrow.", "I called you tomorrow."], answer: "I will call you tomorrow." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Она придёт на вечеринку.»", options: ["She will come to the party.", "She comes to the party.", "She came to the party."], answer: "She will come to the party." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мы поужинаем в 7 вечера.»", options: ["We will have dinner at 7 PM.", "We have dinner at 7 PM.", "We had dinner at 7 PM."], answer: "We will have dinner at 7 PM." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Они сделают домашнее задание.»", options: ["They will do their homework.", "They do their homework.", "They did their homework."], answer: "They will do their homework." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Он купит новую машину.»", options: ["He will buy a new car.", "He buys a new car.", "He bought a new car."], answer: "He will buy a new car." },
-            { type: "fill-blank", question: "Переведите на английский: Она закончит отчёт завтра.", answer: "She will finish the report tomorrow." },
-            { type: "fill-blank", question: "Переведите на английский: Мы уедем рано утром.", answer: "We will leave early in the morning." }
-        ]
-    },
-    {
-        id: 15,
-        title: "There is / There are",
-        description: "There is a book, There are books",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Есть ...» (для единственного числа):", options: ["There is", "There are", "There was"], answer: "There is" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Есть ...» (для множественного числа):", options: ["There are", "There is", "There were"], answer: "There are" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «На столе есть книга.»", options: ["There is a book on the table.", "There was a book on the table.", "There will be a book on the table."], answer: "There is a book on the table." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Есть три стула.»", options: ["There are three chairs.", "There were three chairs.", "There will be three chairs."], answer: "There are three chairs." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «В саду есть кот.»", options: ["There is a cat in the garden.", "There was a cat in the garden.", "There will be a cat in the garden."], answer: "There is a cat in the garden." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Есть много людей.»", options: ["There are many people.", "There were many people.", "There will be many people."], answer: "There are many people." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Есть проблема.»", options: ["There is a problem.", "There was a problem.", "There will be a problem."], answer: "There is a problem." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Есть два яблока.»", options: ["There are two apples.", "There were two apples.", "There will be two apples."], answer: "There are two apples." },
-            { type: "fill-blank", question: "Переведите на английский: В моей сумке есть ручка.", answer: "There is a pen in my bag." },
-            { type: "fill-blank", question: "Переведите на английский: В классе много студентов.", answer: "There are many students in the classroom." }
-        ]
-    },
-    {
-        id: 16,
-        title: "There was / There were",
-        description: "There was a house, There were cars",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Был ...» (единственное число):", options: ["There was", "There is", "There will be"], answer: "There was" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Были ...» (множественное число):", options: ["There were", "There are", "There will be"], answer: "There were" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Вчера вечером была вечеринка.»", options: ["There was a party last night.", "There is a party last night.", "There will be a party last night."], answer: "There was a party last night." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Было много людей.»", options: ["There were many people.", "There are many people.", "There will be many people."], answer: "There were many people." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Было большое дерево.»", options: ["There was a big tree.", "There is a big tree.", "There will be a big tree."], answer: "There was a big tree." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Были три кошки.»", options: ["There were three cats.", "There are three cats.", "There will be three cats."], answer: "There were three cats." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Была проблема.»", options: ["There was a problem.", "There is a problem.", "There will be a problem."], answer: "There was a problem." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Были две книги.»", options: ["There were two books.", "There are two books.", "There will be two books."], answer: "There were two books." },
-            { type: "fill-blank", question: "Переведите на английский: Вчера был хороший фильм по телевизору.", answer: "There was a good film on TV yesterday." },
-            { type: "fill-blank", question: "Переведите на английский: В классе вчера было много студентов.", answer: "There were many students in the classroom yesterday." }
-        ]
-    },
-    {
-        id: 17,
-        title: "Prepositions of Place",
-        description: "in, on, under, behind, next to",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «в»:", options: ["in", "on", "under"], answer: "in" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «на»:", options: ["on", "in", "under"], answer: "on" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «под»:", options: ["under", "on", "in"], answer: "under" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «за»:", options: ["behind", "in front of", "next to"], answer: "behind" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «рядом с»:", options: ["next to", "in front of", "behind"], answer: "next to" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Книга на столе.»", options: ["The book is on the table.", "The book is in the table.", "The book is under the table."], answer: "The book is on the table." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Кот в коробке.»", options: ["The cat is in the box.", "The cat is on the box.", "The cat is under the box."], answer: "The cat is in the box." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мяч под кроватью.»", options: ["The ball is under the bed.", "The ball is on the bed.", "The ball is in the bed."], answer: "The ball is under the bed." },
-            { type: "fill-blank", question: "Переведите на английский: Кошка спит под деревом.", answer: "The cat is sleeping under the tree." },
-            { type: "fill-blank", question: "Переведите на английский: Он сидит рядом со мной.", answer: "He is sitting next to me." }
-        ]
-    },
-    {
-        id: 18,
-        title: "Prepositions of Time",
-        description: "in, on, at, morning, night, Monday",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильный предлог для времени: «... утру»:", options: ["in", "on", "at"], answer: "in" },
-            { type: "multiple-choice", question: "Выберите правильный предлог для дней недели: «... понедельник»:", options: ["on", "in", "at"], answer: "on" },
-            { type: "multiple-choice", question: "Выберите правильный предлог для точного времени: «... 9 часов»:", options: ["at", "in", "on"], answer: "at" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я хожу на работу утром.»", options: ["I go to work in the morning.", "I go to work on the morning.", "I go to work at the morning."], answer: "I go to work in the morning." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «У нас занятия в понедельник.»", options: ["We have class on Monday.", "We have class in Monday.", "We have class at Monday."], answer: "We have class on Monday." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Встреча начинается в 9 часов.»", options: ["The meeting starts at 9 o'clock.", "The meeting starts in 9 o'clock.", "The meeting starts on 9 o'clock."], answer: "The meeting starts at 9 o'clock." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мой день рождения в июле.»", options: ["My birthday is in July.", "My birthday is on July.", "My birthday is at July."], answer: "My birthday is in July." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Увидимся в пятницу.»", options: ["I'll see you on Friday.", "I'll see you in Friday.", "I'll see you at Friday."], answer: "I'll see you on Friday." },
-            { type: "fill-blank", question: "Переведите на английский: Обычно я просыпаюсь в 7 утра.", answer: "I usually wake up at 7 AM." },
-            { type: "fill-blank", question: "Переведите на английский: Она родилась в 1990 году.", answer: "She was born in 1990." }
-        ]
-    },
-    {
-        id: 19,
-        title: "Modal Verbs: Can / Could / Be able to",
-        description: "ability and permission",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я могу ...»:", options: ["can", "could", "will be able to"], answer: "can" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я мог ...»:", options: ["could", "can", "was able to"], answer: "could" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Я смог ...»:", options: ["was able to", "could", "can"], answer: "was able to" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я умею плавать.»", options: ["I can swim.", "I could swim.", "I will be able to swim."], answer: "I can swim." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я умел плавать, когда мне было пять.»", options: ["I could swim when I was five.", "I can swim when I was five.", "I will be able to swim when I was five."], answer: "I could swim when I was five." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ты можешь помочь мне?»", options: ["Can you help me?", "Could you help me?", "Will you be able to help me?"], answer: "Can you help me?" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Они смогли прийти.»", options: ["They were able to come.", "They can come.", "They could come."], answer: "They were able to come." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Можно я возьму твою ручку?»", options: ["Can I borrow your pen?", "Could I borrow your pen?", "May I borrow your pen?"], answer: "Can I borrow your pen?" },
-            { type: "fill-blank", question: "Переведите на английский: Я могу говорить по-французски.", answer: "I can speak French." },
-            { type: "fill-blank", question: "Переведите на английский: Он смог решить проблему.", answer: "He was able to solve the problem." }
-        ]
-    },
-    {
-        id: 20,
-        title: "Modal Verbs: Must / Have to / Should",
-        description: "obligation, necessity, advice",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Ты должен ...» (обязательство):", options: ["must", "have to", "should"], answer: "must" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Мне нужно ...»:", options: ["have to", "must", "should"], answer: "have to" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «Тебе следует ...»:", options: ["should", "must", "have to"], answer: "should" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ты должен пристегнуться.»", options: ["You must wear a seatbelt.", "You have to wear a seatbelt.", "You should wear a seatbelt."], answer: "You must wear a seatbelt." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мне нужно сходить в банк.»", options: ["I have to go to the bank.", "I must go to the bank.", "I should go to the bank."], answer: "I have to go to the bank." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Тебе стоит посмотреть этот фильм.»", options: ["You should see that movie.", "You must see that movie.", "You have to see that movie."], answer: "You should see that movie." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Студенты должны делать домашнее задание.»", options: ["Students must do homework.", "Students have to do homework.", "Students should do homework."], answer: "Students must do homework." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мы должны быть тихими.»", options: ["We must be quiet.", "We have to be quiet.", "We should be quiet."], answer: "We must be quiet." },
-            { type: "fill-blank", question: "Переведите на английский: Вы должны ехать слева в Великобритании.", answer: "You must drive on the left in the UK." },
-            { type: "fill-blank", question: "Переведите на английский: Нам нужно закончить этот отчёт сегодня.", answer: "We have to finish this report today." }
-        ]
-    },
-    {
-        id: 21,
-        title: "Used to",
-        description: "past habits and states",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «раньше ...»:", options: ["used to", "use to", "am used to"], answer: "used to" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Я раньше играл в футбол.»", options: ["I used to play football.", "I use to play football.", "I am used to playing football."], answer: "I used to play football." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «У неё раньше были длинные волосы.»", options: ["She used to have long hair.", "She use to have long hair.", "She is used to having long hair."], answer: "She used to have long hair." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мы раньше жили в Лондоне.»", options: ["We used to live in London.", "We use to live in London.", "We are used to living in London."], answer: "We used to live in London." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Он раньше курил.»", options: ["He used to smoke.", "He use to smoke.", "He is used to smoking."], answer: "He used to smoke." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Они раньше ходили в ту школу.»", options: ["They used to go to that school.", "They use to go to that school.", "They are used to going to that school."], answer: "They used to go to that school." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Раньше здесь был парк.»", options: ["There used to be a park here.", "There use to be a park here.", "There is used to being a park here."], answer: "There used to be a park here." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Раньше мне не нравились овощи.»", options: ["I didn't use to like vegetables.", "I didn't used to like vegetables.", "I wasn't used to liking vegetables."], answer: "I didn't use to like vegetables." },
-            { type: "fill-blank", question: "Переведите на английский: Я раньше ходил в школу пешком.", answer: "I used to walk to school." },
-            { type: "fill-blank", question: "Переведите на английский: Она раньше жила в Париже.", answer: "She used to live in Paris." }
-        ]
+// Question banks live in data/*.json so topics can be added without editing code
+const CONTENT_FILES = {
+    grammar: 'data/grammar.json',
+    vocabulary: 'data/vocabulary.json'
+};
+const QUESTION_TYPES = ['multiple-choice', 'fill-blank', 'matching', 'ordering', 'error-correction', 'listening', 'speaking'];
+const INTERACTIVE_TYPES = ['matching', 'ordering', 'error-correction'];
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Interface languages. Each one has a message catalog in locales/<code>.json
+const LOCALES = {
+    en: 'English',
+    ru: 'Русский'
+};
+const DEFAULT_LOCALE = 'en';
+
+// Learners sharing a device each get a profile with its own progress
+const PROFILE_AVATARS = ['🦉', '🦊', '🐼', '🐨', '🐸', '🦁', '🐧', '🐢', '🐝', '🐙', '🦄', '🐳'];
+const DEFAULT_PROFILE_ID = 'default';
+
+// Learners' native languages. Vocabulary prompts are written in the learner's language.
+const VOCABULARY_LANGUAGES = {
+    ru: {
+        name: 'Русский',
+        toEnglish: word => `Выберите правильное английское значение слова «${word}»:`,
+        fromEnglish: word => `Выберите правильный перевод слова «${word}» на русский:`,
+        matching: 'Сопоставьте слова с переводом.',
+        listening: 'Прослушайте и выберите слово, которое вы услышали.'
     },
-    {
-        id: 22,
-        title: "Needn't have vs Didn't need to",
-        description: "unnecessary actions in the past",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «не нужно было ...»:", options: ["didn't need to", "needn't have", "needn't to"], answer: "didn't need to" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение: «не нужно было ...» (но сделал):", options: ["needn't have", "didn't need to", "needn't to"], answer: "needn't have" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Мне не нужно было покупать молоко.»", options: ["I didn't need to buy milk.", "I needn't have bought milk.", "I needn't to buy milk."], answer: "I didn't need to buy milk." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ей не нужно было идти в банк.»", options: ["She didn't need to go to the bank.", "She needn't have gone to the bank.", "She needn't to go to the bank."], answer: "She didn't need to go to the bank." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Нам не нужно было спешить.»", options: ["We didn't need to hurry.", "We needn't have hurried.", "We needn't to hurry."], answer: "We didn't need to hurry." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Ему не нужно было волноваться.»", options: ["He didn't need to worry.", "He needn't have worried.", "He needn't to worry."], answer: "He didn't need to worry." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Им не нужно было готовить.»", options: ["They didn't need to cook.", "They needn't have cooked.", "They needn't to cook."], answer: "They didn't need to cook." },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Тебе не нужно было брать зонт.»", options: ["You didn't need to bring an umbrella.", "You needn't have brought an umbrella.", "You needn't to bring an umbrella."], answer: "You didn't need to bring an umbrella." },
-            { type: "fill-blank", question: "Переведите на английский: Ей не нужно было покупать билеты.", answer: "She didn't need to buy tickets." },
-            { type: "fill-blank", question: "Переведите на английский: Нам не нужно было спешить.", answer: "We didn't need to hurry." }
-        ]
+    uz: {
+        name: 'Oʻzbekcha',
+        toEnglish: word => `«${word}» soʻzining inglizcha maʼnosini tanlang:`,
+        fromEnglish: word => `«${word}» soʻzining oʻzbekcha tarjimasini tanlang:`,
+        matching: 'Soʻzlarni tarjimasi bilan moslang.',
+        listening: 'Tinglang va eshitgan soʻzingizni tanlang.'
     },
-    {
-        id: 23,
-        title: "WH-Questions",
-        description: "who, what, where, when, why, how",
-        questions: [
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «что»:", options: ["what", "who", "where"], answer: "what" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «где»:", options: ["where", "when", "why"], answer: "where" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «когда»:", options: ["when", "where", "why"], answer: "when" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «кто»:", options: ["who", "what", "which"], answer: "who" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «почему»:", options: ["why", "when", "how"], answer: "why" },
-            { type: "multiple-choice", question: "Выберите правильное английское значение слова «как»:", options: ["how", "what", "which"], answer: "how" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Как тебя зовут?»", options: ["What is your name?", "Who are you?", "Where are you?"], answer: "What is your name?" },
-            { type: "multiple-choice", question: "Выберите правильный перевод: «Где ты живёшь?»", options: ["Where do you live?", "When do you live?", "Why do you live?"], answer: "Where do you live?" },
-            { type: "fill-blank", question: "Переведите на английский: Сколько тебе лет?", answer: "How old are you?" },
-            { type: "fill-blank", question: "Переведите на английский: Когда начинается фильм?", answer: "When does the film start?" }
-        ]
-    }
-];
+    tg: {
+        name: 'Тоҷикӣ',
+        toEnglish: word => `Маънои англисии калимаи «${word}»-ро интихоб кунед:`,
+        fromEnglish: word => `Тарҷумаи тоҷикии калимаи «${word}»-ро интихоб кунед:`,
+        matching: 'Калимаҳоро бо тарҷумаашон мувофиқ кунед.',
+        listening: 'Гӯш кунед ва калимаеро, ки шунидед, интихоб кунед.'
+    }
+};
+const MATCHING_TERM_LIMIT = 4;
+
+// Topics as shipped in the content files
+const builtInContent = {
+    grammar: [],
+    vocabulary: []
+};
+
+// Validated topics for each section (built-in merged with custom banks), filled by loadContent()
+const contentRegistry = {
+    grammar: [],
+    vocabulary: []
+};
 
 // Application state
 const state = {
@@ -798,11 +66,100 @@ const state = {
     currentTopic: null,
     currentQuestionIndex: 0,
     userAnswers: [],
+    draftAnswer: null, // Unsubmitted work on a matching/ordering/error-correction question
     testType: null, // 'grammar' or 'vocabulary'
-    testMode: null, // 'overall' or 'topic'
-    score: 0
+    testMode: null, // 'overall', 'topic', 'placement', 'review', 'custom' or 'preview'
+    answerMode: 'practice', // 'practice' (instant feedback) or 'exam' (graded at the end)
+    score: 0, // Points earned so far (questions are worth their weight, less any hints used)
+    questionTimes: [], // Milliseconds spent on each question
+    hints: [], // Hints taken on each question: { used: ['first-letter', ...], eliminated: option }
+    questionClock: null, // { index, startedAt } while a question is being worked on
+    timer: null, // Countdown for timed overall tests
+    timedOut: false,
+    mistakesOnly: false, // Retrying only the questions missed in the previous attempt
+    placement: null, // Adaptive placement progress: { levels, levelIndex }
+    customTest: null, // Builder choices behind the current custom test: { topics, count, questionType }
+    resultsReady: false, // The last test was finished, so its results can be shown
+    routing: false, // Applying the URL, so pages replace its history entry instead of adding one
+    attempt: null, // Seed and shuffle choices of the current attempt: { seed, shuffleQuestions, shuffleOptions }
+    random: null, // Seeded random number generator for the current attempt
+    topicAction: 'test', // What picking a topic starts: 'test' or 'flashcards'
+    flashcards: null, // Flashcard session: { topic, cards, index, flipped, known, missed }
+    recognition: null, // SpeechRecognition recording a spoken answer
+    microphoneBlocked: false, // The learner refused (or has no) microphone, so speaking answers are typed
+    editor: null, // Teacher editor working copy
+    profileId: DEFAULT_PROFILE_ID, // Profile whose progress, settings and language are in use
+    locale: DEFAULT_LOCALE // Interface language, one of LOCALES
 };
 
+// Progress storage
+const STORAGE_PREFIX = 'cozyEnglish.';
+const MAX_HISTORY_ENTRIES = 200;
+
+// What each profile keeps for itself. Question banks and the profile list are shared.
+const PROFILE_KEYS = ['history', 'reviewItems', 'settings', 'locale', 'builder', 'activeTest'];
+
+// The first profile keeps the progress saved before there were profiles
+function getStorageKey(key, profileId = state.profileId) {
+    if (!PROFILE_KEYS.includes(key) || profileId === DEFAULT_PROFILE_ID) {
+        return STORAGE_PREFIX + key;
+    }
+    return `${STORAGE_PREFIX}profile.${profileId}.${key}`;
+}
+
+function loadStored(key, fallback) {
+    try {
+        const raw = localStorage.getItem(getStorageKey(key));
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        // Storage can be unavailable (private mode) or hold corrupted data
+        return fallback;
+    }
+}
+
+function saveStored(key, value, profileId = state.profileId) {
+    try {
+        localStorage.setItem(getStorageKey(key, profileId), JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save "${key}" to local storage`, e);
+    }
+}
+
+function getHistory() {
+    return loadStored('history', []);
+}
+
+function recordAttempt(attempt) {
+    const history = getHistory();
+    history.push(attempt);
+    
+    // Keep only the most recent attempts so storage doesn't grow forever
+    saveStored('history', history.slice(-MAX_HISTORY_ENTRIES));
+}
+
+function getTopicProgress(type, topicId) {
+    const attempts = getHistory().filter(a => 
+        a.testType === type && a.testMode === 'topic' && a.topicId === topicId && !a.mistakesOnly
+    );
+    
+    if (attempts.length === 0) return null;
+    
+    return {
+        attempts: attempts.length,
+        bestScore: Math.max(...attempts.map(a => a.score)),
+        lastAttempt: attempts[attempts.length - 1]
+    };
+}
+
+function getMasteryBadge(bestScore) {
+    if (bestScore >= 90) {
+        return { label: t('mastery.mastered'), className: 'mastered', icon: 'fa-crown' };
+    } else if (bestScore >= 70) {
+        return { label: t('mastery.good'), className: 'good', icon: 'fa-thumbs-up' };
+    }
+    return { label: t('mastery.learning'), className: 'learning', icon: 'fa-seedling' };
+}
+
 // DOM Elements
 const pages = {
     home: document.getElementById('home-page'),
@@ -810,24 +167,292 @@ const pages = {
     vocabularyMenu: document.getElementById('vocabulary-menu'),
     topicSelection: document.getElementById('topic-selection'),
     testSection: document.getElementById('test-section'),
-    resultsSection: document.getElementById('results-section')
+    resultsSection: document.getElementById('results-section'),
+    answerReview: document.getElementById('answer-review-section'),
+    flashcards: document.getElementById('flashcards-section'),
+    builder: document.getElementById('builder-section'),
+    editor: document.getElementById('editor-section'),
+    profiles: document.getElementById('profiles-section')
+};
+
+// Learner settings, changed through the [data-setting] controls
+const DEFAULT_SETTINGS = {
+    answerMode: 'practice', // 'practice' or 'exam'
+    timeLimit: 0, // Minutes for an overall test, 0 = no limit
+    questionTimeLimit: 0, // Seconds per question in an overall test, 0 = no limit
+    nativeLanguage: 'ru', // One of VOCABULARY_LANGUAGES
+    vocabularyDirection: 'to-english', // 'to-english' (native → English) or 'from-english'
+    shuffleQuestions: true, // Shuffle the question order of topic tests
+    shuffleOptions: true, // Shuffle the options of multiple-choice questions
+    speechVoice: '', // voiceURI of the English voice used for reading aloud, '' = browser default
+    speechRate: 1 // Speaking rate passed to speechSynthesis
+};
+
+// Spaced repetition settings
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_REVIEW_LIMIT = 20;
+const REVIEW_HISTORY_LIMIT = 10;
+
+// Hand-written matching questions that are now generated from the topic's terms
+const LEGACY_MATCHING_IDS = {
+    'vocabulary-23-11': 'vocabulary-23-matching'
 };
 
+// Test lengths
+const OVERALL_TEST_LENGTH = 30;
+const DEFAULT_BUILDER_COUNT = 20;
+
+// Placement test settings
+const PLACEMENT_LENGTH = 20;
+const PLACEMENT_PASS_RATE = 0.6; // Share of a level's questions needed to reach that level
+const PLACEMENT_PATH_LENGTH = 6;
+
+// Hints: each one used takes a share of the question's points
+const HINT_TYPES = ['first-letter', 'eliminate', 'rule'];
+const HINT_PENALTY = 0.25;
+const MIN_HINTED_CREDIT = 0.25;
+
 // Navigation functions
-function showPage(pageId) {
+// Every page has a URL (see getCurrentRoute), so showing a page adds a history entry
+// unless replaceRoute is set
+function showPage(pageId, replaceRoute = false) {
     // Hide all pages
     Object.values(pages).forEach(page => {
         page.classList.remove('active');
     });
     
     // Show the requested page
+    const isNewPage = state.currentPage !== pageId;
     pages[pageId].classList.add('active');
     state.currentPage = pageId;
     
+    // Keyboard and screen reader users continue from the new page's heading
+    // (tests focus their question in renderQuestion)
+    const heading = pages[pageId].querySelector('h2');
+    if (isNewPage && heading) {
+        heading.tabIndex = -1;
+        heading.focus();
+    }
+    
+    // Leaving a test stops its countdown
+    if (pageId !== 'testSection') {
+        stopExamTimer();
+    }
+    stopSpeaking();
+    stopRecognition();
+    
+    if (pageId === 'home') {
+        updateReviewBanner();
+    } else if (pageId === 'grammarMenu' || pageId === 'vocabularyMenu') {
+        updateMenuCounts(pageId === 'grammarMenu' ? 'grammar' : 'vocabulary');
+    }
+    updateResumeBanners();
+    updateRoute(replaceRoute || state.routing);
+    
     // Update the current year in footer
     document.getElementById('current-year').textContent = new Date().getFullYear();
 }
 
+// Menu cards show the real size of each test, which depends on the content and the learner's language
+function updateMenuCounts(type) {
+    const topicQuestions = getTopics(type).map(topic => getTopicQuestions(type, topic));
+    const counts = {
+        overall: Math.min(OVERALL_TEST_LENGTH, topicQuestions.reduce((sum, questions) => sum + questions.length, 0)),
+        topics: topicQuestions.filter(questions => questions.length > 0).length,
+        placement: Math.min(PLACEMENT_LENGTH, topicQuestions.flat().filter(q => q.level).length)
+    };
+    
+    pages[`${type}Menu`].querySelectorAll('[data-count]').forEach(el => {
+        el.dataset.i18nCount = counts[el.dataset.count];
+        translateElement(el);
+    });
+}
+
+// Routing
+// URLs look like #/grammar/topics/21 or #/vocabulary/overall. Opening one starts
+// the page or test it names; test URLs resume the saved test when it is the same one.
+function getTestRoute({ testMode, testType, topicId, mistakesOnly }) {
+    const routes = {
+        overall: `/${testType}/overall`,
+        placement: `/${testType}/placement`,
+        topic: `/${testType}/topics/${topicId}`,
+        review: '/review',
+        custom: '/custom',
+        preview: `/editor/${testType}/preview`
+    };
+    return routes[testMode] + (mistakesOnly ? '/mistakes' : '');
+}
+
+// The URL of the page that is showing
+function getCurrentRoute() {
+    switch (state.currentPage) {
+        case 'grammarMenu':
+            return '/grammar';
+        case 'vocabularyMenu':
+            return '/vocabulary';
+        case 'topicSelection':
+            return `/${state.testType}/${state.topicAction === 'flashcards' ? 'flashcards' : 'topics'}`;
+        case 'flashcards':
+            return `/vocabulary/flashcards/${state.flashcards.topic.id}`;
+        case 'builder':
+            return '/builder';
+        case 'editor':
+            return `/editor/${state.editor.section}`;
+        case 'profiles':
+            return '/profiles';
+        case 'testSection':
+            return getTestRoute({
+                testMode: state.testMode,
+                testType: state.testType,
+                topicId: state.currentTopic ? state.currentTopic.id : null,
+                mistakesOnly: state.mistakesOnly
+            });
+        case 'resultsSection':
+            return '/results';
+        case 'answerReview':
+            return '/results/review';
+        default:
+            return '/';
+    }
+}
+
+function getUrlRoute() {
+    return location.hash.replace(/^#/, '') || '/';
+}
+
+// Where the back button leads when there is no earlier page in this visit (e.g. after opening a link)
+function getParentRoute(route) {
+    const parts = route.split('/').filter(Boolean);
+    
+    if (parts[0] === 'editor' && parts.length === 2) {
+        return `/${parts[1]}/topics`;
+    } else if (parts[0] === 'custom') {
+        return '/builder';
+    }
+    return `/${parts.slice(0, -1).join('/')}`;
+}
+
+// Number of pages opened in this visit before the current one (0 for links and typed URLs)
+function getHistoryDepth() {
+    return (history.state && history.state.depth) || 0;
+}
+
+function updateRoute(replace = false) {
+    const route = getCurrentRoute();
+    if (route === getUrlRoute()) return;
+    
+    const depth = getHistoryDepth();
+    if (replace) {
+        history.replaceState({ depth, profileId: state.profileId }, '', `#${route}`);
+    } else {
+        history.pushState({ depth: depth + 1, profileId: state.profileId }, '', `#${route}`);
+    }
+}
+
+function goBack() {
+    if (getHistoryDepth() > 0) {
+        history.back();
+    } else {
+        history.replaceState({ depth: 0, profileId: state.profileId }, '', `#${getParentRoute(getCurrentRoute())}`);
+        followRoute(true);
+    }
+}
+
+// Shows what the URL names. Leaving a test this way asks first, and cancelling puts the test's URL back.
+function followRoute(force = false) {
+    // Pages opened before the learner switched profiles lead back to the home page
+    if (history.state && history.state.profileId && history.state.profileId !== state.profileId) {
+        history.replaceState({ depth: 0, profileId: state.profileId }, '', '#/');
+    }
+    
+    const route = getUrlRoute();
+    if (route === getCurrentRoute() && !force) return;
+    
+    if (isTestInProgress()) {
+        if (!confirm(t('test.confirmLeave'))) {
+            history.pushState({ depth: getHistoryDepth() + 1, profileId: state.profileId }, '', `#${getCurrentRoute()}`);
+            return;
+        }
+        saveActiveTest();
+    }
+    
+    const previousPage = state.currentPage;
+    state.routing = true;
+    try {
+        applyRoute(route);
+    } finally {
+        state.routing = false;
+    }
+    
+    // URLs that lead nowhere (a removed topic, a test without questions) show the home page
+    if (state.currentPage === previousPage && getCurrentRoute() !== route) {
+        showPage('home', true);
+    }
+    updateRoute(true);
+}
+
+function applyRoute(route) {
+    const [section, target, id] = route.split('/').filter(Boolean);
+    
+    const saved = getSavedTest();
+    if (saved && getTestRoute(saved) === route) {
+        resumeTest();
+        return;
+    }
+    
+    if (CONTENT_FILES[section]) {
+        if (!target) {
+            showPage(`${section}Menu`);
+        } else if (target === 'topics' && id === undefined) {
+            showTopicSelection(section);
+        } else if (target === 'topics') {
+            state.testType = section;
+            startTopicTest(Number(id));
+        } else if (target === 'overall') {
+            startOverallTest(section);
+        } else if (target === 'placement') {
+            startPlacementTest(section);
+        } else if (target === 'flashcards' && section === 'vocabulary' && id === undefined) {
+            showTopicSelection(section, 'flashcards');
+        } else if (target === 'flashcards' && section === 'vocabulary') {
+            startFlashcards(Number(id));
+        } else {
+            showPage(`${section}Menu`);
+        }
+    } else if (section === 'builder') {
+        openBuilder();
+    } else if (section === 'custom') {
+        startCustomTest(getBuilderConfig());
+    } else if (section === 'review') {
+        startReviewSession();
+    } else if (section === 'profiles') {
+        openProfiles();
+    } else if (section === 'results' && state.resultsReady) {
+        if (target === 'review') {
+            showAnswerReview();
+        } else {
+            showPage('resultsSection');
+        }
+    } else if (section === 'editor' && CONTENT_FILES[target]) {
+        // Coming back from a preview keeps the editor's selection
+        if (state.editor && state.editor.section === target) {
+            returnToEditor();
+        } else {
+            openEditor(target);
+        }
+    } else if (section === 'attempt' && target) {
+        if (!startAttemptFromCode(decodeURIComponent(target))) {
+            showPage('home');
+        }
+    } else {
+        showPage('home');
+    }
+}
+
+function setupRouter() {
+    window.addEventListener('popstate', () => followRoute());
+}
+
 function setupEventListeners() {
     // Home page buttons
     document.getElementById('grammar-btn').addEventListener('click', () => {
@@ -838,6 +463,8 @@ function setupEventListeners() {
         showPage('vocabularyMenu');
     });
     
+    document.getElementById('start-review-btn').addEventListener('click', startReviewSession);
+    
     // Grammar menu buttons
     document.getElementById('overall-grammar-test').addEventListener('click', () => {
         startOverallTest('grammar');
@@ -847,6 +474,14 @@ function setupEventListeners() {
         showTopicSelection('grammar');
     });
     
+    document.getElementById('placement-grammar-test').addEventListener('click', () => {
+        startPlacementTest('grammar');
+    });
+    
+    document.getElementById('grammar-builder').addEventListener('click', () => {
+        openBuilder();
+    });
+    
     // Vocabulary menu buttons
     document.getElementById('overall-vocabulary-test').addEventListener('click', () => {
         startOverallTest('vocabulary');
@@ -856,31 +491,21 @@ function setupEventListeners() {
         showTopicSelection('vocabulary');
     });
     
-    // Back buttons
+    document.getElementById('placement-vocabulary-test').addEventListener('click', () => {
+        startPlacementTest('vocabulary');
+    });
+    
+    document.getElementById('vocabulary-flashcards').addEventListener('click', () => {
+        showTopicSelection('vocabulary', 'flashcards');
+    });
+    
+    document.getElementById('vocabulary-builder').addEventListener('click', () => {
+        openBuilder();
+    });
+    
+    // Back buttons go back through the browser history
     document.querySelectorAll('.back-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            if (state.currentPage === 'grammarMenu' || state.currentPage === 'vocabularyMenu') {
-                showPage('home');
-            } else if (state.currentPage === 'topicSelection') {
-                if (state.testType === 'grammar') {
-                    showPage('grammarMenu');
-                } else {
-                    showPage('vocabularyMenu');
-                }
-            } else if (state.currentPage === 'testSection') {
-                if (state.testMode === 'overall') {
-                    if (state.testType === 'grammar') {
-                        showPage('grammarMenu');
-                    } else {
-                        showPage('vocabularyMenu');
-                    }
-                } else {
-                    showPage('topicSelection');
-                }
-            } else if (state.currentPage === 'resultsSection') {
-                showPage('home');
-            }
-        });
+        btn.addEventListener('click', goBack);
     });
     
     // Test navigation buttons
@@ -888,11 +513,25 @@ function setupEventListeners() {
     document.getElementById('prev-btn').addEventListener('click', previousQuestion);
     document.getElementById('finish-btn').addEventListener('click', finishTest);
     document.getElementById('submit-blank-btn').addEventListener('click', submitBlankAnswer);
+    document.getElementById('record-btn').addEventListener('click', toggleRecognition);
+    
+    document.querySelectorAll('.hint-btn').forEach(button => {
+        button.addEventListener('click', () => useHint(button.dataset.hint));
+    });
+    document.getElementById('submit-interactive-btn').addEventListener('click', submitInteractiveAnswer);
     
     // Results buttons
-    document.getElementById('retry-btn').addEventListener('click', retryTest);
+    document.getElementById('retry-btn').addEventListener('click', () => retryTest());
+    document.getElementById('retry-wrong-btn').addEventListener('click', () => retryTest(true));
+    document.getElementById('review-answers-btn').addEventListener('click', showAnswerReview);
     document.getElementById('new-test-btn').addEventListener('click', () => {
-        if (state.testType === 'grammar') {
+        if (state.testMode === 'preview') {
+            returnToEditor();
+        } else if (state.testMode === 'review') {
+            showPage('home');
+        } else if (state.testMode === 'custom') {
+            showPage('builder');
+        } else if (state.testType === 'grammar') {
             showPage('grammarMenu');
         } else {
             showPage('vocabularyMenu');
@@ -902,6 +541,27 @@ function setupEventListeners() {
         showPage('home');
     });
     
+    // Practice links for weak and recommended topics
+    ['topic-chart', 'placement-path'].forEach(id => {
+        document.getElementById(id).addEventListener('click', (e) => {
+            const practiceBtn = e.target.closest('[data-topic-id]');
+            if (!practiceBtn) return;
+            
+            // Custom tests mix sections, so their buttons name the section
+            const type = practiceBtn.dataset.section || state.testType;
+            const topic = getTopics(type).find(t => String(t.id) === practiceBtn.dataset.topicId);
+            if (topic) {
+                state.testType = type;
+                startTopicTest(topic.id);
+            }
+        });
+    });
+    
+    // Answer review filters
+    document.getElementById('mistakes-filter').addEventListener('change', renderAnswerReview);
+    document.getElementById('topic-filter').addEventListener('change', renderAnswerReview);
+    document.getElementById('review-retry-wrong-btn').addEventListener('click', () => retryTest(true));
+    
     // Fill in the blank input
     document.getElementById('fill-blank-input').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
@@ -911,69 +571,70 @@ function setupEventListeners() {
 }
 
 // Test functions
-function startOverallTest(type) {
+function startOverallTest(type, attempt = null) {
+    if (!confirmReplacingSavedTest()) return;
+    
     state.testType = type;
     state.testMode = 'overall';
-    state.currentQuestionIndex = 0;
-    state.userAnswers = [];
-    state.score = 0;
-    
-    // Get 30 random questions
-    let allQuestions = [];
-    
-    if (type === 'grammar') {
-        grammarTopics.forEach(topic => {
-            allQuestions = allQuestions.concat(topic.questions.map(q => ({
-                ...q,
-                topic: topic.title
-            })));
-        });
-    } else {
-        vocabularyTopics.forEach(topic => {
-            allQuestions = allQuestions.concat(topic.questions.map(q => ({
-                ...q,
-                topic: topic.title
-            })));
-        });
-    }
+    resetTestProgress();
+    state.answerMode = getSettings().answerMode;
+    const random = beginAttempt(attempt);
     
-    // Shuffle and get first 30 questions
-    allQuestions = shuffleArray(allQuestions).slice(0, 30);
-    state.currentTest = allQuestions;
+    // Shuffle and take the first OVERALL_TEST_LENGTH questions
+    const allQuestions = shuffleArray(getQuestionPool(type, random, state.attempt), random).slice(0, OVERALL_TEST_LENGTH);
+    state.currentTest = allQuestions.map(question => arrangeOptions(question, random));
     
     // Update test UI
-    document.getElementById('test-topic').textContent = `Overall ${type === 'grammar' ? 'Grammar' : 'Vocabulary'} Test`;
+    document.getElementById('test-topic').textContent = getTestTitle();
     document.getElementById('total-questions').textContent = state.currentTest.length;
     
     showPage('testSection');
+    startExamTimer();
     renderQuestion();
 }
 
-function showTopicSelection(type) {
+function showTopicSelection(type, action = 'test') {
     state.testType = type;
+    state.topicAction = action;
+    const isFlashcards = action === 'flashcards';
     
     const topicsContainer = document.getElementById('topics-container');
     topicsContainer.innerHTML = '';
     
-    const topics = type === 'grammar' ? grammarTopics : vocabularyTopics;
-    document.getElementById('topic-selection-title').textContent = `Select a ${type === 'grammar' ? 'Grammar' : 'Vocabulary'} Topic`;
+    // Skip topics that have nothing in the learner's language yet
+    const topics = getTopics(type).filter(topic => 
+        (isFlashcards ? buildFlashcards(topic) : getTopicQuestions(type, topic)).length > 0
+    );
+    document.getElementById('topic-selection-title').textContent = isFlashcards
+        ? t('flashcards.selectTitle')
+        : t('topics.title', { section: t(`section.${type}`) });
     
     topics.forEach(topic => {
         const topicCard = document.createElement('div');
         topicCard.className = 'topic-card';
+        topicCard.tabIndex = 0;
+        topicCard.setAttribute('role', 'button');
         topicCard.innerHTML = `
             <div class="topic-number">${topic.id}</div>
-            <h3>${topic.title}</h3>
-            <p>${topic.description}</p>
+            <h3>${escapeHtml(topic.title)}</h3>
+            <p>${escapeHtml(topic.description)}</p>
             <div class="topic-info">
-                <span><i class="fas fa-question-circle"></i> 10 questions</span>
-                <span><i class="fas fa-clock"></i> 5-10 min</span>
+                ${isFlashcards
+                    ? `<span><i class="fas fa-clone"></i> ${t('flashcards.cards', { count: buildFlashcards(topic).length })}</span>`
+                    : `<span><i class="fas fa-question-circle"></i> ${t('topics.questions', { count: getTopicQuestions(type, topic).length })}</span>`}
+                <span><i class="fas fa-clock"></i> ${t('topics.duration')}</span>
             </div>
+            ${isFlashcards ? '' : renderTopicProgress(getTopicProgress(type, topic.id))}
         `;
         
         topicCard.addEventListener('click', () => {
-            startTopicTest(topic.id);
+            if (isFlashcards) {
+                startFlashcards(topic.id);
+            } else {
+                startTopicTest(topic.id);
+            }
         });
+        topicCard.addEventListener('keydown', activateOnKey);
         
         topicsContainer.appendChild(topicCard);
     });
@@ -981,124 +642,464 @@ function showTopicSelection(type) {
     showPage('topicSelection');
 }
 
-function startTopicTest(topicId) {
+function renderTopicProgress(progress) {
+    if (!progress) {
+        return `<div class="topic-progress not-started">${t('topics.notStarted')}</div>`;
+    }
+    
+    const badge = getMasteryBadge(progress.bestScore);
+    const lastDate = new Date(progress.lastAttempt.timestamp).toLocaleDateString(state.locale);
+    
+    return `
+        <div class="topic-progress">
+            <span class="mastery-badge ${badge.className}"><i class="fas ${badge.icon}"></i> ${badge.label}</span>
+            <span>${t('topics.best', { score: progress.bestScore })}</span>
+            <span>${t('topics.last', { score: progress.lastAttempt.score, date: lastDate })}</span>
+        </div>
+    `;
+}
+
+function startTopicTest(topicId, attempt = null) {
+    if (!confirmReplacingSavedTest()) return;
+    
     state.testMode = 'topic';
-    state.currentQuestionIndex = 0;
-    state.userAnswers = [];
-    state.score = 0;
+    resetTestProgress();
+    state.answerMode = getSettings().answerMode;
+    const random = beginAttempt(attempt);
     
-    const topics = state.testType === 'grammar' ? grammarTopics : vocabularyTopics;
-    const topic = topics.find(t => t.id === topicId);
+    const topic = getTopics(state.testType).find(t => t.id === topicId);
+    const questions = topic ? getTopicQuestions(state.testType, topic, random, state.attempt) : [];
     
-    if (!topic) return;
+    if (questions.length === 0) return;
     
     state.currentTopic = topic;
-    state.currentTest = [...topic.questions]; // Create a copy
+    state.currentTest = (state.attempt.shuffleQuestions ? shuffleArray(questions, random) : questions)
+        .map(question => arrangeOptions(question, random));
     
     // Update test UI
-    document.getElementById('test-topic').textContent = `${topic.title} - ${state.testType === 'grammar' ? 'Grammar' : 'Vocabulary'}`;
+    document.getElementById('test-topic').textContent = getTestTitle();
     document.getElementById('total-questions').textContent = state.currentTest.length;
     
     showPage('testSection');
     renderQuestion();
 }
 
-function renderQuestion() {
-    if (!state.currentTest || state.currentTest.length === 0) return;
-    
-    const question = state.currentTest[state.currentQuestionIndex];
-    const questionType = question.type;
+// Question pools
+function getQuestionId(type, topicId, index) {
+    return `${type}-${topicId}-${index + 1}`;
+}
+
+// Copies a topic's questions with enough context to find them again later
+function tagTopicQuestions(type, topic) {
+    return topic.questions.map((q, index) => ({
+        ...q,
+        id: q.id || getQuestionId(type, topic.id, index),
+        section: type,
+        topic: topic.title,
+        topicId: topic.id,
+        level: q.level || topic.level || null
+    }));
+}
+
+// The questions a learner gets for a topic: questions generated from its vocabulary terms,
+// then the fixed questions written for everyone or for the learner's language.
+// Listening questions are left out when the browser can't speak.
+// "vocabulary" holds the nativeLanguage and vocabularyDirection to build for: the
+// learner's settings, or the attempt's when a test is built.
+function getTopicQuestions(type, topic, random = Math.random, vocabulary = getSettings()) {
+    const { nativeLanguage } = vocabulary;
+    const generated = tagTopicQuestions(type, { ...topic, questions: buildTermQuestions(type, topic, random, vocabulary) });
+    const fixed = tagTopicQuestions(type, topic).filter(q => !q.language || q.language === nativeLanguage);
     
-    // Update progress
-    const progressPercentage = ((state.currentQuestionIndex + 1) / state.currentTest.length) * 100;
-    document.getElementById('progress-fill').style.width = `${progressPercentage}%`;
-    document.getElementById('current-question').textContent = state.currentQuestionIndex + 1;
+    return [...generated, ...fixed].filter(q => q.type !== 'listening' || canSpeak());
+}
+
+function getQuestionPool(type, random = Math.random, vocabulary = getSettings()) {
+    return getTopics(type).flatMap(topic => getTopicQuestions(type, topic, random, vocabulary));
+}
+
+// Every question by id, built once and again only when the content or the learner's
+// vocabulary language and direction change: { key, questions: Map }
+let questionIndex = null;
+
+function findQuestionById(id) {
+    const key = getTermQuestionSuffix();
+    if (!questionIndex || questionIndex.key !== key) {
+        const questions = [...getQuestionPool('grammar'), ...getQuestionPool('vocabulary')];
+        questionIndex = { key, questions: new Map(questions.map(q => [q.id, q])) };
+    }
+    return questionIndex.questions.get(id) || null;
+}
+
+// Vocabulary word lists
+// Each term is an English word with glosses per language, its part of speech and
+// an example sentence, e.g.
+// { id, term: 'I', partOfSpeech: 'pronoun', glosses: { ru: 'я', uz: 'men', tg: 'ман' },
+//   example: 'I am a student.', distractors: ['He', 'We'] }
+function buildTermQuestions(type, topic, random = Math.random, vocabulary = getSettings()) {
+    const { nativeLanguage, vocabularyDirection } = vocabulary;
+    const language = VOCABULARY_LANGUAGES[nativeLanguage];
+    const allTerms = topic.terms || [];
+    const terms = allTerms.filter(term => term.glosses[nativeLanguage]);
+    if (!language || allTerms.length === 0) return [];
     
-    // Update question text
-    document.getElementById('question-text').textContent = question.question;
-    document.getElementById('question-type').textContent = questionType === 'multiple-choice' ? 'Multiple Choice' : 'Fill in the Blank';
+    const toEnglish = vocabularyDirection !== 'from-english';
+    const promptOf = term => toEnglish ? term.glosses[nativeLanguage] : term.term;
+    const answerOf = term => toEnglish ? term.term : term.glosses[nativeLanguage];
+    const idSuffix = getTermQuestionSuffix(vocabulary);
     
-    // Clear previous feedback
-    document.getElementById('feedback').style.display = 'none';
-    document.getElementById('feedback').className = 'feedback';
+    // Other words of the section the learner can see, used when a topic is too small for distractors
+    const sectionTerms = getTopics(type)
+        .filter(other => other.id !== topic.id)
+        .flatMap(other => other.terms || [])
+        .filter(term => term.glosses[nativeLanguage]);
     
-    // Show/hide appropriate containers
-    if (questionType === 'multiple-choice') {
-        document.getElementById('options-container').style.display = 'grid';
-        document.getElementById('fill-blank-container').style.display = 'none';
+    const questions = terms.length < 2 ? [] : terms.map(term => {
+        const answer = answerOf(term);
         
-        // Render options
-        const optionsContainer = document.getElementById('options-container');
-        optionsContainer.innerHTML = '';
+        // Hand-picked distractors are English, so they only fit questions answered in English
+        const handPicked = toEnglish && term.distractors ? term.distractors : [];
+        const distractors = [...new Set([...handPicked, ...pickDistractorTerms(term, terms, sectionTerms, random).map(answerOf)])]
+            .filter(option => option !== answer)
+            .slice(0, 2);
         
-        question.options.forEach((option, index) => {
-            const optionBtn = document.createElement('button');
-            optionBtn.className = 'option-btn';
-            optionBtn.textContent = option;
-            optionBtn.dataset.value = option;
-            
-            // Check if this option was previously selected
-            if (state.userAnswers[state.currentQuestionIndex] && 
-                state.userAnswers[state.currentQuestionIndex].selected === option) {
-                optionBtn.classList.add('selected');
-                
-                // Show feedback if answer was checked
-                if (state.userAnswers[state.currentQuestionIndex].checked) {
-                    showFeedback(state.userAnswers[state.currentQuestionIndex].isCorrect, question.answer);
-                }
-            }
+        return {
+            id: `${term.id}-${idSuffix}`,
+            type: 'multiple-choice',
+            question: toEnglish ? language.toEnglish(promptOf(term)) : language.fromEnglish(promptOf(term)),
+            options: shuffleArray([answer, ...distractors], random),
+            answer,
+            language: nativeLanguage,
+            ...(toEnglish ? {} : { answerLanguage: nativeLanguage })
+        };
+    });
+    
+    allTerms.forEach(term => {
+        const gloss = term.glosses[nativeLanguage];
+        const cloze = buildClozeQuestion(term, gloss);
+        if (cloze) {
+            questions.push(gloss ? { ...cloze, language: nativeLanguage } : cloze);
+        }
+    });
+    
+    // Listening: the English word is played and picked from other English words
+    if (allTerms.length >= 2) {
+        allTerms.forEach(term => {
+            const distractors = [...new Set([...(term.distractors || []), ...pickDistractorTerms(term, allTerms, sectionTerms, random).map(other => other.term)])]
+                .filter(option => option !== term.term)
+                .slice(0, 2);
             
-            optionBtn.addEventListener('click', () => {
-                selectOption(option);
+            questions.push({
+                id: `${term.id}-listening`,
+                type: 'listening',
+                question: language.listening,
+                options: shuffleArray([term.term, ...distractors], random),
+                answer: term.term,
+                language: nativeLanguage
             });
-            
-            optionsContainer.appendChild(optionBtn);
         });
-    } else {
-        document.getElementById('options-container').style.display = 'none';
-        document.getElementById('fill-blank-container').style.display = 'block';
-        
-        // Clear the input and enable it
-        const fillBlankInput = document.getElementById('fill-blank-input');
-        fillBlankInput.value = '';
-        fillBlankInput.disabled = false;
-        fillBlankInput.focus();
-        
-        document.getElementById('submit-blank-btn').disabled = false;
-        
+    }
+    
+    // Matching needs every word on both sides to be different
+    const matchingTerms = terms.filter((term, index) => 
+        terms.findIndex(other => promptOf(other) === promptOf(term) || answerOf(other) === answerOf(term)) === index
+    ).slice(0, MATCHING_TERM_LIMIT);
+    
+    if (matchingTerms.length >= 3) {
+        questions.push({
+            id: `${type}-${topic.id}-matching-${idSuffix}`,
+            type: 'matching',
+            question: language.matching,
+            pairs: matchingTerms.map(term => ({ left: promptOf(term), right: answerOf(term) })),
+            language: nativeLanguage
+        });
+    }
+    
+    return questions;
+}
+
+// Generated questions are told apart by the language and direction they were asked in
+function getTermQuestionSuffix({ nativeLanguage, vocabularyDirection } = getSettings()) {
+    return `${nativeLanguage}-${vocabularyDirection === 'from-english' ? 'from-english' : 'to-english'}`;
+}
+
+// Wrong options for a term: words of the same part of speech in the topic come first,
+// then the rest of the topic, then words of the same part of speech from other topics
+function pickDistractorTerms(term, topicTerms, sectionTerms, random) {
+    const others = topicTerms.filter(other => other !== term);
+    const samePartOfSpeech = other => Boolean(term.partOfSpeech) && other.partOfSpeech === term.partOfSpeech;
+    
+    return [
+        ...shuffleArray(others.filter(samePartOfSpeech), random),
+        ...shuffleArray(others.filter(other => !samePartOfSpeech(other)), random),
+        ...shuffleArray(sectionTerms.filter(samePartOfSpeech), random)
+    ];
+}
+
+// Blanks the term out of its example sentence: "I am a student." -> "___ am a student."
+function buildClozeQuestion(term, gloss) {
+    const match = findTermInExample(term);
+    if (!match) return null;
+    
+    const blanked = `${term.example.slice(0, match.index)}___${term.example.slice(match.index + match[0].length)}`;
+    return {
+        id: `${term.id}-cloze`,
+        type: 'fill-blank',
+        question: gloss ? `${blanked} (${gloss})` : blanked,
+        answer: match[0]
+    };
+}
+
+function findTermInExample(term) {
+    if (typeof term.example !== 'string') return null;
+    
+    const pattern = term.term.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+    return new RegExp(`(?<![\\w'])${pattern}(?![\\w'])`, 'i').exec(term.example);
+}
+
+function validateTerm(term, label) {
+    const errors = [];
+    
+    if (!term || typeof term !== 'object') {
+        return [t('validation.termNotObject', { label })];
+    }
+    if (typeof term.id !== 'string' || !term.id.trim()) {
+        errors.push(t('validation.missingId', { label }));
+    }
+    if (typeof term.term !== 'string' || !term.term.trim()) {
+        errors.push(t('validation.missingTerm', { label }));
+    }
+    
+    const glosses = term.glosses && typeof term.glosses === 'object' ? term.glosses : {};
+    const languages = Object.keys(glosses);
+    if (languages.length === 0) {
+        errors.push(t('validation.noGlosses', { label, languages: Object.keys(VOCABULARY_LANGUAGES).join(', ') }));
+    }
+    languages.forEach(code => {
+        if (!Object.keys(VOCABULARY_LANGUAGES).includes(code)) {
+            errors.push(t('validation.unknownGlossLanguage', { label, language: code }));
+        } else if (typeof glosses[code] !== 'string' || !glosses[code].trim()) {
+            errors.push(t('validation.glossNotText', { label, language: code }));
+        }
+    });
+    
+    if (term.distractors !== undefined && 
+        (!Array.isArray(term.distractors) || term.distractors.some(d => typeof d !== 'string'))) {
+        errors.push(t('validation.notTextList', { label, field: 'distractors' }));
+    }
+    if (term.partOfSpeech !== undefined && (typeof term.partOfSpeech !== 'string' || !term.partOfSpeech.trim())) {
+        errors.push(t('validation.notText', { label, field: 'partOfSpeech' }));
+    }
+    if (term.example !== undefined) {
+        if (typeof term.example !== 'string' || !term.example.trim()) {
+            errors.push(t('validation.notText', { label, field: 'example' }));
+        } else if (typeof term.term === 'string' && term.term.trim() && !findTermInExample(term)) {
+            errors.push(t('validation.exampleMissingTerm', { label, example: term.example, term: term.term }));
+        }
+    }
+    
+    return errors;
+}
+
+function resetTestProgress() {
+    state.currentQuestionIndex = 0;
+    state.userAnswers = [];
+    state.score = 0;
+    state.questionTimes = [];
+    state.hints = [];
+    state.questionClock = null;
+    state.timedOut = false;
+    state.mistakesOnly = false;
+    state.resultsReady = false;
+    state.answerMode = 'practice';
+    
+    // Drop the previous test's countdown so its limits aren't recorded again
+    stopExamTimer();
+    state.timer = null;
+}
+
+function renderQuestion() {
+    if (!state.currentTest || state.currentTest.length === 0) return;
+    
+    const question = state.currentTest[state.currentQuestionIndex];
+    const questionType = question.type;
+    // A question whose own time ran out can be looked at again, but not answered
+    const isOutOfTime = isQuestionOutOfTime();
+    
+    startQuestionClock();
+    stopSpeaking();
+    stopRecognition();
+    
+    // Update progress
+    const progressPercentage = ((state.currentQuestionIndex + 1) / getTestLength()) * 100;
+    document.getElementById('progress-fill').style.width = `${progressPercentage}%`;
+    document.getElementById('current-question').textContent = state.currentQuestionIndex + 1;
+    
+    // Update question text (the sentence itself is shown as tappable words for error correction)
+    document.getElementById('question-text').textContent = questionType === 'error-correction'
+        ? t('test.errorCorrectionPrompt')
+        : question.question;
+    document.getElementById('question-type').textContent = getQuestionTypeLabel(questionType);
+    
+    const spokenQuestion = getSpeakableQuestion(question);
+    const speakQuestionBtn = document.getElementById('speak-question-btn');
+    speakQuestionBtn.style.display = canSpeak() && spokenQuestion ? 'inline-flex' : 'none';
+    speakQuestionBtn.dataset.speak = spokenQuestion || '';
+    
+    renderListeningControls(question, state.userAnswers[state.currentQuestionIndex]);
+    renderSpeakingControls(question, state.userAnswers[state.currentQuestionIndex]);
+    
+    // Clear previous feedback
+    document.getElementById('feedback').style.display = 'none';
+    document.getElementById('feedback').className = 'feedback';
+    
+    // Show/hide appropriate containers
+    state.draftAnswer = null;
+    document.getElementById('interactive-container').style.display = 'none';
+    
+    if (hasOptions(question)) {
+        document.getElementById('options-container').style.display = 'grid';
+        document.getElementById('fill-blank-container').style.display = 'none';
+        
+        // Render options
+        const optionsContainer = document.getElementById('options-container');
+        optionsContainer.innerHTML = '';
+        
+        // Listening options aren't read aloud, that would give the answer away
+        const speakOptions = canSpeak() && questionType === 'multiple-choice' && canSpeakAnswer(question);
+        
+        question.options.forEach((option, index) => {
+            const optionBtn = document.createElement('button');
+            optionBtn.className = 'option-btn';
+            optionBtn.textContent = option;
+            optionBtn.dataset.value = option;
+            optionBtn.setAttribute('role', 'radio');
+            optionBtn.setAttribute('aria-checked', 'false');
+            optionBtn.setAttribute('aria-keyshortcuts', String(index + 1));
+            optionBtn.disabled = isOutOfTime;
+            
+            // Check if this option was previously selected
+            if (state.userAnswers[state.currentQuestionIndex] && 
+                state.userAnswers[state.currentQuestionIndex].selected === option) {
+                optionBtn.classList.add('selected');
+                optionBtn.setAttribute('aria-checked', 'true');
+                
+                // Show feedback if answer was checked
+                if (state.userAnswers[state.currentQuestionIndex].checked) {
+                    showFeedback(state.userAnswers[state.currentQuestionIndex].result, question.answer);
+                }
+            }
+            
+            optionBtn.addEventListener('click', () => {
+                selectOption(option);
+            });
+            
+            if (speakOptions) {
+                const optionItem = document.createElement('div');
+                optionItem.className = 'option-item';
+                optionItem.appendChild(optionBtn);
+                optionItem.insertAdjacentHTML('beforeend', renderSpeakButton(option));
+                optionsContainer.appendChild(optionItem);
+            } else {
+                optionsContainer.appendChild(optionBtn);
+            }
+        });
+    } else if (isInteractiveType(questionType)) {
+        document.getElementById('options-container').style.display = 'none';
+        document.getElementById('fill-blank-container').style.display = 'none';
+        
+        renderInteractiveQuestion(question, state.userAnswers[state.currentQuestionIndex]);
+    } else {
+        document.getElementById('options-container').style.display = 'none';
+        document.getElementById('fill-blank-container').style.display = 'block';
+        
+        // Clear the input and enable it
+        const fillBlankInput = document.getElementById('fill-blank-input');
+        fillBlankInput.value = '';
+        fillBlankInput.disabled = isOutOfTime;
+        if (!isOutOfTime) {
+            fillBlankInput.focus();
+        }
+        
+        document.getElementById('submit-blank-btn').disabled = isOutOfTime;
+        
         // Check if this question was previously answered
         if (state.userAnswers[state.currentQuestionIndex]) {
             fillBlankInput.value = state.userAnswers[state.currentQuestionIndex].selected || '';
             
             if (state.userAnswers[state.currentQuestionIndex].checked) {
-                showFeedback(state.userAnswers[state.currentQuestionIndex].isCorrect, question.answer);
+                showFeedback(state.userAnswers[state.currentQuestionIndex].result, question.answer);
                 fillBlankInput.disabled = true;
                 document.getElementById('submit-blank-btn').disabled = true;
             }
         }
     }
     
-    // Update navigation buttons
-    document.getElementById('prev-btn').disabled = state.currentQuestionIndex === 0;
-    
-    // Next button should be enabled only if current question is answered
     const isAnswered = state.userAnswers[state.currentQuestionIndex] && 
                       state.userAnswers[state.currentQuestionIndex].checked;
-    document.getElementById('next-btn').disabled = !isAnswered && state.currentQuestionIndex < state.currentTest.length - 1;
+    if (isOutOfTime && !isAnswered) {
+        const feedbackEl = document.getElementById('feedback');
+        feedbackEl.textContent = t('feedback.outOfTime');
+        feedbackEl.className = 'feedback saved';
+        feedbackEl.style.display = 'block';
+    }
+    
+    // Screen readers start from the new question (typed answers focus their input instead)
+    if (hasOptions(question) || isInteractiveType(questionType) || isOutOfTime) {
+        document.getElementById('question-text').focus();
+    }
+    
+    renderHints(question, state.userAnswers[state.currentQuestionIndex]);
+    
+    // Update navigation buttons (placement answers can't be changed once the next question is picked)
+    document.getElementById('prev-btn').disabled = state.currentQuestionIndex === 0 || state.testMode === 'placement';
+    
+    // Next button should be enabled only if current question is answered (exam mode allows skipping)
+    document.getElementById('next-btn').disabled = state.answerMode !== 'exam' && 
+        !isAnswered && !isOutOfTime && state.currentQuestionIndex < getTestLength() - 1;
+    
+    // Exam mode hides the running score
+    document.querySelector('.score-display').style.display = state.answerMode === 'exam' ? 'none' : 'flex';
+    document.getElementById('exam-badge').style.display = state.answerMode === 'exam' ? 'flex' : 'none';
     
     // Update score display
     updateScoreDisplay();
+    saveActiveTest();
+}
+
+// Multiple-choice questions, and listening questions that offer options instead of a text field
+function hasOptions(question) {
+    return question.type === 'multiple-choice' || (question.type === 'listening' && Array.isArray(question.options));
+}
+
+function getQuestionTypeLabel(type) {
+    return t(`questionType.${QUESTION_TYPES.includes(type) ? type : 'fill-blank'}`);
+}
+
+// Heading shown above the questions of the current test
+function getTestTitle() {
+    const section = state.testType ? t(`section.${state.testType}`) : '';
+    
+    if (state.mistakesOnly) {
+        return t('test.title.mistakes', { count: state.currentTest.length });
+    } else if (state.testMode === 'topic') {
+        return t('test.title.topic', { topic: state.currentTopic.title, section });
+    } else if (state.testMode === 'preview') {
+        return t('test.title.preview', { topic: state.currentTopic.title });
+    }
+    return t(`test.title.${state.testMode}`, { section });
 }
 
 function selectOption(option) {
-    // Remove selected class from all options
+    if (isQuestionOutOfTime()) return;
+    
+    // Mark the chosen option, and only that one
     document.querySelectorAll('.option-btn').forEach(btn => {
-        btn.classList.remove('selected');
+        const isSelected = btn.dataset.value === option;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-checked', String(isSelected));
     });
     
-    // Add selected class to clicked option
-    event.target.classList.add('selected');
-    
     // Store the answer
     state.userAnswers[state.currentQuestionIndex] = {
         selected: option,
@@ -1109,18 +1110,26 @@ function selectOption(option) {
     // Enable next button
     document.getElementById('next-btn').disabled = false;
     
+    // In exam mode answers are only graded when the test is finished
+    if (state.answerMode === 'exam') {
+        showAnswerSaved();
+        return;
+    }
+    
     // Auto-check the answer for learning purposes
     checkAnswer();
 }
 
 function submitBlankAnswer() {
+    if (isQuestionOutOfTime()) return;
+    
     const input = document.getElementById('fill-blank-input');
     const answer = input.value.trim();
     
     if (!answer) {
         // Show error message
         const feedbackEl = document.getElementById('feedback');
-        feedbackEl.textContent = 'Please enter an answer.';
+        feedbackEl.textContent = t('feedback.enterAnswer');
         feedbackEl.className = 'feedback incorrect';
         feedbackEl.style.display = 'block';
         return;
@@ -1136,31 +1145,50 @@ function submitBlankAnswer() {
     // Enable next button
     document.getElementById('next-btn').disabled = false;
     
+    if (state.answerMode === 'exam') {
+        showAnswerSaved();
+        return;
+    }
+    
     // Check the answer
     checkAnswer();
 }
 
+// Grades a stored answer and updates the score and review schedule
+function gradeAnswer(question, userAnswer, index) {
+    const result = evaluateAnswer(question, userAnswer.selected);
+    userAnswer.result = result;
+    userAnswer.isCorrect = result === 'correct';
+    userAnswer.checked = true;
+    userAnswer.hints = getUsedHints(index).used;
+    userAnswer.points = getAnswerPoints(question, result, userAnswer.hints);
+    
+    if (state.testMode !== 'preview') {
+        updateReviewItem(question, result);
+    }
+    
+    // Update score
+    state.score += userAnswer.points;
+    
+    return result;
+}
+
 function checkAnswer() {
     const question = state.currentTest[state.currentQuestionIndex];
     const userAnswer = state.userAnswers[state.currentQuestionIndex];
     
     if (!userAnswer) return;
     
-    // For fill-in-the-blank, check if answer is correct (case insensitive)
-    const isCorrect = userAnswer.selected.toLowerCase() === question.answer.toLowerCase();
-    userAnswer.isCorrect = isCorrect;
-    userAnswer.checked = true;
+    const result = gradeAnswer(question, userAnswer, state.currentQuestionIndex);
+    const isCorrect = userAnswer.isCorrect;
+    stopQuestionClock();
     
     // Show feedback
-    showFeedback(isCorrect, question.answer);
-    
-    // Update score
-    if (isCorrect) {
-        state.score++;
-    }
+    showFeedback(result, getCorrectAnswerText(question));
+    announce(document.getElementById('feedback').textContent);
     
     // Update UI based on question type
-    if (question.type === 'multiple-choice') {
+    if (hasOptions(question)) {
         document.querySelectorAll('.option-btn').forEach(btn => {
             btn.disabled = true;
             if (btn.dataset.value === question.answer) {
@@ -1169,34 +1197,74 @@ function checkAnswer() {
                 btn.classList.add('incorrect');
             }
         });
+        
+        // Disabled options lose keyboard focus, so hand it to the next button
+        if (document.activeElement && document.activeElement.classList.contains('option-btn')) {
+            document.getElementById('next-btn').focus();
+        }
+    } else if (isInteractiveType(question.type)) {
+        renderInteractiveQuestion(question, userAnswer);
     } else {
         document.getElementById('fill-blank-input').disabled = true;
         document.getElementById('submit-blank-btn').disabled = true;
+        document.getElementById('record-btn').disabled = true;
     }
     
+    renderHints(question, userAnswer);
     updateScoreDisplay();
+    saveActiveTest();
 }
 
-function showFeedback(isCorrect, correctAnswer) {
+function showFeedback(result, correctAnswer) {
     const feedbackEl = document.getElementById('feedback');
     feedbackEl.style.display = 'block';
     
-    if (isCorrect) {
-        feedbackEl.textContent = 'Correct! Well done.';
+    if (result === 'correct') {
+        feedbackEl.textContent = t('feedback.correct');
         feedbackEl.className = 'feedback correct';
+    } else if (result === 'almost') {
+        feedbackEl.textContent = t('feedback.almost', { answer: correctAnswer });
+        feedbackEl.className = 'feedback almost';
     } else {
-        feedbackEl.textContent = `Incorrect. The correct answer is: ${correctAnswer}`;
+        feedbackEl.textContent = t('feedback.incorrect', { answer: correctAnswer });
         feedbackEl.className = 'feedback incorrect';
     }
+    
+    // Let the learner hear the expected answer
+    const question = state.currentTest[state.currentQuestionIndex];
+    if (canSpeakAnswer(question)) {
+        feedbackEl.insertAdjacentHTML('beforeend', renderSpeakButton(question.answer));
+    }
+    
+    const userAnswer = state.userAnswers[state.currentQuestionIndex];
+    if (question.type === 'speaking' && userAnswer) {
+        feedbackEl.insertAdjacentHTML('beforeend', renderWordDiff(question, userAnswer.selected));
+    }
+}
+
+function showAnswerSaved() {
+    const feedbackEl = document.getElementById('feedback');
+    feedbackEl.textContent = t(state.testMode === 'placement' ? 'feedback.savedPlacement' : 'feedback.saved');
+    feedbackEl.className = 'feedback saved';
+    feedbackEl.style.display = 'block';
+    announce(feedbackEl.textContent);
+    saveActiveTest();
 }
 
 function updateScoreDisplay() {
-    const totalAnswered = state.userAnswers.filter(a => a && a.checked).length;
-    const currentScore = totalAnswered > 0 ? Math.round((state.score / totalAnswered) * 100) : 0;
+    const answered = state.currentTest.filter((question, index) => state.userAnswers[index] && state.userAnswers[index].checked);
+    const maxPoints = getMaxPoints(answered);
+    const currentScore = maxPoints > 0 ? Math.round((state.score / maxPoints) * 100) : 0;
     document.getElementById('current-score').textContent = currentScore;
 }
 
 function nextQuestion() {
+    stopQuestionClock();
+    
+    if (state.testMode === 'placement' && state.currentQuestionIndex === state.currentTest.length - 1) {
+        advancePlacement();
+    }
+    
     if (state.currentQuestionIndex < state.currentTest.length - 1) {
         state.currentQuestionIndex++;
         renderQuestion();
@@ -1206,6 +1274,8 @@ function nextQuestion() {
 }
 
 function previousQuestion() {
+    stopQuestionClock();
+    
     if (state.currentQuestionIndex > 0) {
         state.currentQuestionIndex--;
         renderQuestion();
@@ -1213,20 +1283,88 @@ function previousQuestion() {
 }
 
 function finishTest() {
-    // Calculate final score
+    stopQuestionClock();
+    stopExamTimer();
+    
+    // Exam answers are graded all at once
+    state.currentTest.forEach((question, index) => {
+        const userAnswer = state.userAnswers[index];
+        if (userAnswer && !userAnswer.checked) {
+            gradeAnswer(question, userAnswer, index);
+        }
+    });
+    
+    // Calculate final score (weighted, so hints and heavier questions count)
+    const totalQuestions = state.currentTest.length;
+    const correctAnswers = state.userAnswers.filter(a => a && a.isCorrect).length;
+    const maxPoints = getMaxPoints(state.currentTest);
+    const scorePercentage = Math.round((state.score / maxPoints) * 100);
+    
+    // Placement tests end with a CEFR level instead of a grade
+    const placementLevel = state.testMode === 'placement' ? estimatePlacementLevel() : null;
+    
+    // Save the attempt so progress survives page reloads (teacher previews don't count)
+    if (state.testMode !== 'preview') {
+        recordAttempt({
+            testType: state.testType,
+            testMode: state.testMode,
+            topicId: state.testMode === 'topic' ? state.currentTopic.id : null,
+            answers: state.currentTest.map((question, index) => {
+                const userAnswer = state.userAnswers[index];
+                return {
+                    question: question.question,
+                    topic: question.topic || null,
+                    topicId: question.topicId || null,
+                    answer: getCorrectAnswerText(question),
+                    selected: userAnswer ? formatAnswer(question, userAnswer.selected) : null,
+                    result: userAnswer ? userAnswer.result : null,
+                    isCorrect: Boolean(userAnswer && userAnswer.isCorrect),
+                    weight: getQuestionWeight(question),
+                    points: userAnswer && userAnswer.checked ? userAnswer.points : 0,
+                    hints: getUsedHints(index).used,
+                    timeSpent: state.questionTimes[index] || 0
+                };
+            }),
+            timeLimit: state.timer ? state.timer.timeLimit : 0,
+            timedOut: state.timedOut,
+            mistakesOnly: state.mistakesOnly,
+            level: placementLevel,
+            code: getAttemptCode(),
+            attempt: state.attempt,
+            points: state.score,
+            maxPoints,
+            correct: correctAnswers,
+            total: totalQuestions,
+            score: scorePercentage,
+            timestamp: Date.now()
+        });
+        clearSavedTest();
+    }
+    
+    // The results take the finished test's place in the history, so going back doesn't restart it
+    state.resultsReady = true;
+    renderResults();
+    showPage('resultsSection', true);
+}
+
+// Fills the results page from the finished test (also used to redraw it in another language)
+function renderResults() {
     const totalQuestions = state.currentTest.length;
     const correctAnswers = state.userAnswers.filter(a => a && a.isCorrect).length;
     const wrongAnswers = totalQuestions - correctAnswers;
-    const scorePercentage = Math.round((correctAnswers / totalQuestions) * 100);
+    const scorePercentage = Math.round((state.score / getMaxPoints(state.currentTest)) * 100);
+    const placementLevel = state.testMode === 'placement' ? estimatePlacementLevel() : null;
     
     // Determine grade
     let grade = '';
-    if (scorePercentage >= 90) {
-        grade = 'Excellent';
+    if (placementLevel) {
+        grade = t('grade.level', { level: placementLevel });
+    } else if (scorePercentage >= 90) {
+        grade = t('grade.excellent');
     } else if (scorePercentage >= 70) {
-        grade = 'Good';
+        grade = t('grade.good');
     } else {
-        grade = 'Try Again';
+        grade = t('grade.tryAgain');
     }
     
     // Update results UI
@@ -1245,10 +1383,13 @@ function finishTest() {
     circle.style.strokeDashoffset = offset;
     
     // Update test completed message
-    const testName = state.testMode === 'overall' 
-        ? `Overall ${state.testType} Test` 
-        : `${state.currentTopic.title} ${state.testType} Test`;
-    document.getElementById('test-completed-message').textContent = `You've completed the ${testName}`;
+    const section = state.testType ? t(`section.${state.testType}`) : '';
+    const topic = state.currentTopic ? state.currentTopic.title : '';
+    let testName = t(`results.name.${state.testMode}`, { section, topic });
+    if (state.mistakesOnly) {
+        testName = t('results.name.mistakes', { test: testName });
+    }
+    document.getElementById('test-completed-message').textContent = t(state.timedOut ? 'results.timeUp' : 'results.completed', { test: testName });
     
     // Generate breakdown
     const breakdownContent = document.getElementById('breakdown-content');
@@ -1256,46 +1397,3351 @@ function finishTest() {
     
     state.currentTest.forEach((question, index) => {
         const userAnswer = state.userAnswers[index];
-        const isCorrect = userAnswer && userAnswer.isCorrect;
-        const answerText = userAnswer ? userAnswer.selected : 'Not answered';
+        const result = getResultLabel(userAnswer);
+        const answerText = userAnswer ? formatAnswer(question, userAnswer.selected) : t('result.notAnswered');
         
         const item = document.createElement('div');
         item.className = 'breakdown-item';
         item.innerHTML = `
-            <div class="breakdown-question">Q${index + 1}: ${question.question.substring(0, 50)}...</div>
-            <div class="breakdown-result ${isCorrect ? 'correct' : 'incorrect'}">
-                ${isCorrect ? '✓ Correct' : '✗ Incorrect'}
+            <div class="breakdown-question">
+                Q${index + 1}: ${escapeHtml(question.question.substring(0, 50))}...
+                ${isInteractiveType(question.type) || question.type === 'speaking' ? `
+                    <div class="breakdown-answer">${getQuestionTypeLabel(question.type)} · ${escapeHtml(t('results.yourAnswer', { answer: answerText }))}</div>
+                ` : ''}
+                ${question.type === 'listening' ? `
+                    <div class="breakdown-answer">
+                        ${getQuestionTypeLabel(question.type)} · ${escapeHtml(t('results.heard', { text: getListeningText(question) }))}
+                        ${renderSpeakButton(getListeningText(question))} · ${escapeHtml(t('results.yourAnswer', { answer: answerText }))}
+                    </div>
+                ` : ''}
+                ${renderPointsSummary(question, index)}
+            </div>
+            <div class="breakdown-time" title="${t('results.timeSpent')}">
+                <i class="fas fa-stopwatch"></i> ${formatDuration(state.questionTimes[index] || 0)}
+            </div>
+            <div class="breakdown-result ${result.className}">
+                ${result.label}
             </div>
         `;
         
         breakdownContent.appendChild(item);
     });
     
-    showPage('resultsSection');
+    // Nothing to retry when every answer was right
+    const hasMistakes = wrongAnswers > 0 && state.testMode !== 'placement';
+    document.getElementById('retry-wrong-btn').disabled = !hasMistakes;
+    document.getElementById('review-retry-wrong-btn').disabled = !hasMistakes;
+    
+    renderTopicAnalysis();
+    renderPlacementResult(placementLevel);
+    renderAttemptCode();
+}
+
+function getResultLabel(userAnswer) {
+    if (userAnswer && userAnswer.isCorrect) {
+        return { label: t('result.correct'), className: 'correct' };
+    } else if (userAnswer && userAnswer.result === 'almost') {
+        return { label: t('result.almost'), className: 'almost' };
+    }
+    return { label: t('result.incorrect'), className: 'incorrect' };
 }
 
-function retryTest() {
-    if (state.testMode === 'overall') {
+function retryTest(onlyMistakes = false) {
+    if (onlyMistakes) {
+        retryMistakes();
+    } else if (state.testMode === 'preview') {
+        startPreview(state.currentTopic, state.editor.previewQuestions);
+    } else if (state.testMode === 'review') {
+        startReviewSession();
+    } else if (state.testMode === 'overall') {
         startOverallTest(state.testType);
+    } else if (state.testMode === 'placement') {
+        startPlacementTest(state.testType);
+    } else if (state.testMode === 'custom') {
+        startCustomTest(state.customTest);
     } else {
         startTopicTest(state.currentTopic.id);
     }
 }
 
-// Utility functions
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Runs the questions that weren't answered correctly again, keeping the same test type and mode
+function retryMistakes() {
+    const mistakes = state.currentTest.filter((question, index) => 
+        !(state.userAnswers[index] && state.userAnswers[index].isCorrect)
+    );
+    if (mistakes.length === 0) return;
+    
+    const answerMode = state.answerMode;
+    resetTestProgress();
+    state.answerMode = answerMode;
+    state.mistakesOnly = true;
+    state.currentTest = mistakes;
+    
+    // Update test UI
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = state.currentTest.length;
+    
+    showPage('testSection');
+    renderQuestion();
+}
+
+// Hints and weighted scoring
+function getQuestionWeight(question) {
+    return question.weight || 1;
+}
+
+function getMaxPoints(questions) {
+    return questions.reduce((sum, question) => sum + getQuestionWeight(question), 0);
+}
+
+// A right answer earns the question's weight, less a share for every hint used
+function getAnswerPoints(question, result, hintsUsed) {
+    if (result !== 'correct') return 0;
+    return getQuestionWeight(question) * Math.max(MIN_HINTED_CREDIT, 1 - hintsUsed.length * HINT_PENALTY);
+}
+
+function getUsedHints(index) {
+    return state.hints[index] || { used: [], eliminated: null };
+}
+
+// The rule is the author's hint, or the explanation shown when reviewing answers
+function getRuleHint(question) {
+    return question.hint || question.explanation || null;
+}
+
+// Placement tests measure the level without help, so they offer no hints
+function getAvailableHints(question) {
+    if (state.testMode === 'placement') return [];
+    
+    return HINT_TYPES.filter(type => {
+        if (type === 'first-letter') {
+            return !hasOptions(question) && !isInteractiveType(question.type);
+        } else if (type === 'eliminate') {
+            return hasOptions(question) && question.options.length >= 3;
+        }
+        return Boolean(getRuleHint(question));
+    });
+}
+
+function getHintText(question, type) {
+    if (type === 'first-letter') {
+        return t('hints.startsWith', { letter: question.answer.trim().charAt(0) });
     }
-    return shuffled;
+    return getRuleHint(question);
 }
 
-// Initialize the application
-function init() {
-    setupEventListeners();
-    showPage('home');
+function useHint(type) {
+    const index = state.currentQuestionIndex;
+    const question = state.currentTest[index];
+    const userAnswer = state.userAnswers[index];
+    const hints = getUsedHints(index);
+    
+    if (hints.used.includes(type) || !getAvailableHints(question).includes(type)) return;
+    if ((userAnswer && userAnswer.checked) || isQuestionOutOfTime()) return;
+    
+    if (type === 'eliminate') {
+        // Never remove the option the learner has already picked
+        const wrongOptions = question.options.filter(option => 
+            option !== question.answer && !(userAnswer && option === userAnswer.selected)
+        );
+        if (wrongOptions.length === 0) return;
+        hints.eliminated = wrongOptions[Math.floor((state.random || Math.random)() * wrongOptions.length)];
+    }
+    
+    hints.used.push(type);
+    state.hints[index] = hints;
+    renderHints(question, userAnswer);
+    saveActiveTest();
+}
+
+function renderHints(question, userAnswer) {
+    const available = getAvailableHints(question);
+    const hints = getUsedHints(state.currentQuestionIndex);
+    const isChecked = Boolean(userAnswer && userAnswer.checked) || isQuestionOutOfTime();
+    
+    document.getElementById('hint-bar').style.display = available.length > 0 ? 'flex' : 'none';
+    document.getElementById('hint-cost').textContent = t('hints.cost', { percent: HINT_PENALTY * 100 });
+    document.querySelectorAll('.hint-btn').forEach(button => {
+        button.style.display = available.includes(button.dataset.hint) ? '' : 'none';
+        button.disabled = isChecked || hints.used.includes(button.dataset.hint);
+    });
+    
+    document.getElementById('hint-list').innerHTML = hints.used
+        .filter(type => type !== 'eliminate')
+        .map(type => `<li><i class="fas fa-lightbulb"></i> ${escapeHtml(getHintText(question, type))}</li>`)
+        .join('');
+    
+    if (hints.eliminated) {
+        document.querySelectorAll('.option-btn').forEach(button => {
+            if (button.dataset.value === hints.eliminated) {
+                button.disabled = true;
+                button.classList.add('eliminated');
+            }
+        });
+    }
+}
+
+// Breakdown line for questions that used hints or are worth more than one point
+function renderPointsSummary(question, index) {
+    const hints = getUsedHints(index).used;
+    const weight = getQuestionWeight(question);
+    if (hints.length === 0 && weight === 1) return '';
+    
+    const userAnswer = state.userAnswers[index];
+    const points = userAnswer && userAnswer.checked ? userAnswer.points : 0;
+    const formatPoints = value => value.toLocaleString(state.locale, { maximumFractionDigits: 2 });
+    
+    return `
+        <div class="breakdown-answer breakdown-points">
+            ${hints.length > 0 ? `
+                <span class="breakdown-hints"><i class="fas fa-lightbulb"></i> ${escapeHtml(t('results.hintsUsed', { hints: hints.map(type => t(`hints.name.${type}`)).join(', ') }))}</span> ·
+            ` : ''}
+            ${t('results.points', { points: formatPoints(points), count: weight, weight: formatPoints(weight) })}
+        </div>
+    `;
+}
+
+// Seeded attempts
+// Every attempt gets a seed that drives its question picks and shuffles, so the
+// same attempt can be rebuilt from a code like "G3-3-1K9ZQ2" or "V3-3-RUE-1K9ZQ2":
+// section (G/V), topic id (ALL = overall, P = placement), shuffle flags, for vocabulary
+// the learner's language and direction (E = into English, N = into their language), and seed.
+const ATTEMPT_CODE_PATTERN = /^([GV])(ALL|P|\d+)-([0-3])(?:-([A-Z]{2})([EN]))?-([0-9A-Z]+)$/;
+
+// mulberry32: small and fast, and the same seed always gives the same numbers
+function createRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let mixed = Math.imul(value ^ (value >>> 15), value | 1);
+        mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+        return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Starts a new attempt (or replays one from a code) and returns its random number generator.
+// Vocabulary questions are built for the attempt's language and direction, which a
+// replayed code brings along.
+function beginAttempt(attempt = null) {
+    const settings = getSettings();
+    state.attempt = {
+        nativeLanguage: settings.nativeLanguage,
+        vocabularyDirection: settings.vocabularyDirection,
+        ...(attempt || {
+            seed: Math.floor(Math.random() * 0xFFFFFFFF),
+            shuffleQuestions: settings.shuffleQuestions,
+            shuffleOptions: settings.shuffleOptions
+        })
+    };
+    state.random = createRandom(state.attempt.seed);
+    return state.random;
+}
+
+// Tiles of matching and ordering questions are shuffled from the attempt's seed and the
+// question's place in the test, so they come out the same however the learner moves around
+function getQuestionRandom() {
+    if (!state.attempt) return Math.random;
+    return createRandom(state.attempt.seed + state.currentQuestionIndex + 1);
+}
+
+function arrangeOptions(question, random) {
+    if (!state.attempt.shuffleOptions || !question.options) return question;
+    return { ...question, options: shuffleArray(question.options, random) };
+}
+
+function getAttemptCode() {
+    if (!state.attempt || !['overall', 'topic', 'placement'].includes(state.testMode)) return null;
+    
+    const section = state.testType === 'grammar' ? 'G' : 'V';
+    const target = { overall: 'ALL', placement: 'P' }[state.testMode] || state.currentTopic.id;
+    const flags = (state.attempt.shuffleQuestions ? 1 : 0) + (state.attempt.shuffleOptions ? 2 : 0);
+    const language = state.testType === 'vocabulary'
+        ? `-${state.attempt.nativeLanguage.toUpperCase()}${state.attempt.vocabularyDirection === 'from-english' ? 'N' : 'E'}`
+        : '';
+    return `${section}${target}-${flags}${language}-${state.attempt.seed.toString(36).toUpperCase()}`;
+}
+
+// Replays the attempt behind a code. Returns false when the code doesn't match a test.
+function startAttemptFromCode(code) {
+    const match = ATTEMPT_CODE_PATTERN.exec(code.trim().toUpperCase());
+    if (!match) return false;
+    
+    const [, section, target, flags, language, direction, seed] = match;
+    const type = section === 'G' ? 'grammar' : 'vocabulary';
+    const attempt = {
+        seed: parseInt(seed, 36) >>> 0,
+        shuffleQuestions: Boolean(flags & 1),
+        shuffleOptions: Boolean(flags & 2)
+    };
+    
+    // Codes without a language (and grammar codes) are built for the learner's own settings
+    if (language) {
+        if (!VOCABULARY_LANGUAGES[language.toLowerCase()]) return false;
+        attempt.nativeLanguage = language.toLowerCase();
+        attempt.vocabularyDirection = direction === 'N' ? 'from-english' : 'to-english';
+    }
+    
+    if (target === 'ALL') {
+        startOverallTest(type, attempt);
+    } else if (target === 'P') {
+        startPlacementTest(type, attempt);
+    } else {
+        const topic = getTopics(type).find(t => t.id === Number(target));
+        if (!topic || getTopicQuestions(type, topic, Math.random, { ...getSettings(), ...attempt }).length === 0) return false;
+        
+        state.testType = type;
+        startTopicTest(topic.id, attempt);
+    }
+    return true;
+}
+
+function renderAttemptCode() {
+    const code = getAttemptCode();
+    document.getElementById('attempt-code').style.display = code ? 'flex' : 'none';
+    document.getElementById('attempt-code-value').textContent = code || '';
+}
+
+function setupAttemptCodeForms() {
+    document.querySelectorAll('.attempt-code-form').forEach(form => {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = form.querySelector('.attempt-code-input');
+            const message = form.querySelector('.attempt-code-message');
+            
+            if (startAttemptFromCode(input.value)) {
+                input.value = '';
+                message.textContent = '';
+            } else {
+                message.textContent = t('attempt.invalid');
+            }
+        });
+    });
+    
+    document.getElementById('copy-attempt-code-btn').addEventListener('click', () => {
+        const code = document.getElementById('attempt-code-value').textContent;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code).catch(e => console.warn('Could not copy the attempt code', e));
+        }
+    });
+}
+
+// Adaptive placement test
+function startPlacementTest(type, attempt = null) {
+    const levels = CEFR_LEVELS.filter(level => getQuestionPool(type).some(q => q.level === level));
+    if (levels.length === 0 || !confirmReplacingSavedTest()) return;
+    
+    state.testType = type;
+    state.testMode = 'placement';
+    state.currentTopic = null;
+    resetTestProgress();
+    beginAttempt(attempt);
+    
+    // Answers are graded quietly on "Next" so the following question can adapt to them.
+    // A section with few level-tagged questions gives a shorter test.
+    const available = getQuestionPool(type, Math.random, state.attempt).filter(q => q.level).length;
+    state.answerMode = 'exam';
+    state.placement = { levels, levelIndex: Math.min(1, levels.length - 1), length: Math.min(PLACEMENT_LENGTH, available) };
+    state.currentTest = [];
+    state.currentTest.push(pickPlacementQuestion());
+    
+    // Update test UI
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = state.placement.length;
+    
+    showPage('testSection');
+    renderQuestion();
+}
+
+function getTestLength() {
+    return state.testMode === 'placement' ? state.placement.length : state.currentTest.length;
+}
+
+// Picks an unused question at the current level, falling back to the nearest level that has some left
+function pickPlacementQuestion() {
+    const { levels, levelIndex } = state.placement;
+    const usedIds = new Set(state.currentTest ? state.currentTest.map(q => q.id) : []);
+    const unused = getQuestionPool(state.testType, state.random, state.attempt).filter(q => q.level && !usedIds.has(q.id));
+    
+    const byDistance = levels
+        .map((level, index) => ({ level, distance: Math.abs(index - levelIndex) }))
+        .sort((a, b) => a.distance - b.distance);
+    
+    for (const { level } of byDistance) {
+        const candidates = unused.filter(q => q.level === level);
+        if (candidates.length > 0) {
+            return arrangeOptions(candidates[Math.floor(state.random() * candidates.length)], state.random);
+        }
+    }
+    return null;
+}
+
+// Grades the current answer, moves one level up or down and queues the next question
+function advancePlacement() {
+    const index = state.currentQuestionIndex;
+    const userAnswer = state.userAnswers[index];
+    if (userAnswer && !userAnswer.checked) {
+        gradeAnswer(state.currentTest[index], userAnswer, index);
+    }
+    
+    const step = userAnswer && userAnswer.isCorrect ? 1 : -1;
+    state.placement.levelIndex = Math.max(0, Math.min(state.placement.levels.length - 1, state.placement.levelIndex + step));
+    
+    if (state.currentTest.length < state.placement.length) {
+        const nextQuestion = pickPlacementQuestion();
+        if (nextQuestion) {
+            state.currentTest.push(nextQuestion);
+        }
+    }
+}
+
+// The highest level where enough questions were answered correctly
+function estimatePlacementLevel() {
+    let estimate = null;
+    
+    state.placement.levels.forEach(level => {
+        const answers = state.currentTest
+            .map((question, index) => ({ question, userAnswer: state.userAnswers[index] }))
+            .filter(item => item.question.level === level);
+        const correct = answers.filter(item => item.userAnswer && item.userAnswer.isCorrect).length;
+        
+        if (answers.length >= 2 && correct / answers.length >= PLACEMENT_PASS_RATE) {
+            estimate = level;
+        }
+    });
+    
+    return estimate || `Pre-${state.placement.levels[0]}`;
+}
+
+// Topics missed at or below the estimated level come first, then the topics of the next level
+function getPlacementPath(level) {
+    const levelIndex = CEFR_LEVELS.indexOf(level);
+    const missedTopicIds = new Set(state.currentTest
+        .filter((question, index) => !(state.userAnswers[index] && state.userAnswers[index].isCorrect))
+        .map(question => question.topicId));
+    
+    const isUnfinished = topic => {
+        const progress = getTopicProgress(state.testType, topic.id);
+        return !progress || getMasteryBadge(progress.bestScore).className !== 'mastered';
+    };
+    
+    const gaps = getTopics(state.testType).filter(topic => 
+        CEFR_LEVELS.indexOf(topic.level) <= levelIndex && missedTopicIds.has(topic.id)
+    );
+    const nextSteps = getTopics(state.testType).filter(topic => 
+        CEFR_LEVELS.indexOf(topic.level) === levelIndex + 1 && isUnfinished(topic) && 
+        getTopicQuestions(state.testType, topic).length > 0
+    );
+    
+    return [...gaps, ...nextSteps].slice(0, PLACEMENT_PATH_LENGTH);
+}
+
+function renderPlacementResult(level) {
+    const result = document.getElementById('placement-result');
+    if (!level) {
+        result.style.display = 'none';
+        return;
+    }
+    
+    const path = getPlacementPath(level);
+    document.getElementById('placement-summary').textContent = t(path.length > 0 ? 'placement.summary' : 'placement.summaryTop', {
+        section: t(`section.${state.testType}`),
+        level
+    });
+    
+    document.getElementById('placement-path').innerHTML = path.map(topic => `
+        <li class="placement-step">
+            <span class="placement-level">${topic.level}</span>
+            <span class="placement-topic">${escapeHtml(topic.title)}</span>
+            <button class="practice-topic-btn" data-topic-id="${escapeHtml(String(topic.id))}">
+                <i class="fas fa-play"></i> ${t('common.practice')}
+            </button>
+        </li>
+    `).join('');
+    
+    result.style.display = 'block';
+}
+
+// Topic analytics for overall and custom tests
+function getTopicStats() {
+    const stats = new Map();
+    
+    // Grammar and vocabulary topics share titles, so mixed tests name the section too
+    const isMixed = new Set(state.currentTest.map(question => question.section)).size > 1;
+    
+    state.currentTest.forEach((question, index) => {
+        if (question.topicId === undefined) return;
+        
+        const key = `${question.section}-${question.topicId}`;
+        if (!stats.has(key)) {
+            const title = isMixed
+                ? t('analysis.topicInSection', { topic: question.topic, section: t(`section.${question.section}`) })
+                : question.topic;
+            stats.set(key, { section: question.section, topicId: question.topicId, title, correct: 0, total: 0 });
+        }
+        const entry = stats.get(key);
+        entry.total++;
+        if (state.userAnswers[index] && state.userAnswers[index].isCorrect) {
+            entry.correct++;
+        }
+    });
+    
+    // Weakest topics first
+    return [...stats.values()]
+        .map(entry => ({ ...entry, accuracy: Math.round((entry.correct / entry.total) * 100) }))
+        .sort((a, b) => a.accuracy - b.accuracy || a.title.localeCompare(b.title));
+}
+
+function renderTopicAnalysis() {
+    const analysis = document.getElementById('topic-analysis');
+    
+    // Topic tests only cover one topic, so there is nothing to compare
+    if (state.testMode !== 'overall' && state.testMode !== 'custom') {
+        analysis.style.display = 'none';
+        return;
+    }
+    
+    const stats = getTopicStats();
+    const weakTopics = stats.filter(entry => getMasteryBadge(entry.accuracy).className === 'learning');
+    const strongTopics = stats.filter(entry => getMasteryBadge(entry.accuracy).className === 'mastered');
+    const totalTopics = state.testMode === 'custom' ? state.customTest.topics.length : getTopics(state.testType).length;
+    
+    let summary = t('analysis.covered', { covered: stats.length, total: totalTopics });
+    if (strongTopics.length > 0) {
+        summary += ` ${t('analysis.strongest', { topics: strongTopics.map(entry => entry.title).join(', ') })}`;
+    }
+    if (weakTopics.length > 0) {
+        summary += ` ${t('analysis.needsPractice', { topics: weakTopics.map(entry => entry.title).join(', ') })}`;
+    }
+    document.getElementById('topic-analysis-summary').textContent = summary;
+    
+    document.getElementById('topic-chart').innerHTML = stats.map(entry => {
+        const badge = getMasteryBadge(entry.accuracy);
+        return `
+            <div class="topic-bar-row">
+                <div class="topic-bar-label">
+                    ${escapeHtml(entry.title)}
+                    <span class="topic-bar-count">${entry.correct}/${entry.total}</span>
+                </div>
+                <div class="topic-bar">
+                    <div class="topic-bar-fill ${badge.className}" style="width: ${entry.accuracy}%"></div>
+                </div>
+                <span class="topic-bar-value">${entry.accuracy}%</span>
+                ${badge.className === 'learning' ? `
+                    <button class="practice-topic-btn" data-section="${entry.section}" data-topic-id="${escapeHtml(String(entry.topicId))}">
+                        <i class="fas fa-dumbbell"></i> ${t('common.practice')}
+                    </button>
+                ` : '<span class="practice-topic-placeholder"></span>'}
+            </div>
+        `;
+    }).join('');
+    
+    analysis.style.display = 'block';
+}
+
+// Detailed answer review
+function showAnswerReview() {
+    const topics = [...new Set(state.currentTest.map(question => question.topic).filter(Boolean))];
+    const topicFilter = document.getElementById('topic-filter');
+    
+    topicFilter.innerHTML = `
+        <option value="">${t('review.allTopics')}</option>
+        ${topics.map(topic => `<option value="${escapeHtml(topic)}">${escapeHtml(topic)}</option>`).join('')}
+    `;
+    topicFilter.value = '';
+    
+    // A topic filter is only useful when the test mixed several topics
+    document.getElementById('topic-filter-label').style.display = topics.length > 1 ? 'flex' : 'none';
+    document.getElementById('mistakes-filter').checked = false;
+    
+    renderAnswerReview();
+    showPage('answerReview');
+}
+
+function renderAnswerReview() {
+    const onlyMistakes = document.getElementById('mistakes-filter').checked;
+    const topic = document.getElementById('topic-filter').value;
+    const list = document.getElementById('answer-review-list');
+    
+    const items = state.currentTest
+        .map((question, index) => ({ question, index, userAnswer: state.userAnswers[index] }))
+        .filter(item => !onlyMistakes || !(item.userAnswer && item.userAnswer.isCorrect))
+        .filter(item => !topic || item.question.topic === topic);
+    
+    if (items.length === 0) {
+        list.innerHTML = `
+            <p class="review-empty">
+                ${onlyMistakes ? `<i class="fas fa-star"></i> ${t('review.noMistakes')}` : t('review.noMatches')}
+            </p>
+        `;
+        return;
+    }
+    
+    list.innerHTML = items.map(({ question, index, userAnswer }) => 
+        renderReviewedAnswer(question, index, userAnswer)
+    ).join('');
+}
+
+function renderReviewedAnswer(question, index, userAnswer) {
+    const result = getResultLabel(userAnswer);
+    const answerText = userAnswer ? formatAnswer(question, userAnswer.selected) : t('result.notAnswered');
+    
+    let answerDetails = '';
+    if (hasOptions(question)) {
+        // Show every option: the correct one in green, a wrong pick in red
+        answerDetails = `
+            <ul class="review-options">
+                ${question.options.map(option => {
+                    const isAnswer = option === question.answer;
+                    const isChosen = Boolean(userAnswer) && option === userAnswer.selected;
+                    return `
+                        <li class="review-option ${isAnswer ? 'correct' : isChosen ? 'incorrect' : ''}">
+                            <i class="fas ${isAnswer ? 'fa-check' : isChosen ? 'fa-times' : 'fa-circle'}"></i>
+                            ${escapeHtml(option)}
+                            ${isChosen ? `<span class="review-choice">${t('review.yourChoice')}</span>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${userAnswer ? '' : `<div class="review-answer"><span>${t('review.yourAnswer')}</span> ${t('result.notAnswered')}</div>`}
+        `;
+    } else {
+        answerDetails = `
+            <div class="review-answer ${result.className}"><span>${t('review.yourAnswer')}</span> ${escapeHtml(answerText)}</div>
+            <div class="review-answer correct">
+                <span>${t('review.correctAnswer')}</span> ${escapeHtml(getCorrectAnswerText(question))}
+                ${canSpeakAnswer(question) ? renderSpeakButton(question.answer) : ''}
+            </div>
+            ${question.type === 'speaking' && userAnswer ? renderWordDiff(question, userAnswer.selected) : ''}
+        `;
+    }
+    
+    return `
+        <div class="review-item ${result.className}">
+            <div class="review-item-header">
+                <span class="review-number">Q${index + 1}</span>
+                <span class="question-type">${getQuestionTypeLabel(question.type)}</span>
+                ${question.topic ? `<span class="review-topic">${escapeHtml(question.topic)}</span>` : ''}
+                <span class="breakdown-time" title="${t('results.timeSpent')}">
+                    <i class="fas fa-stopwatch"></i> ${formatDuration(state.questionTimes[index] || 0)}
+                </span>
+                <span class="breakdown-result ${result.className}">${result.label}</span>
+            </div>
+            <div class="review-question">${escapeHtml(question.question)}</div>
+            ${question.type === 'listening' ? `
+                <div class="review-transcript">
+                    <i class="fas fa-headphones"></i> ${escapeHtml(getListeningText(question))}
+                    ${renderSpeakButton(getListeningText(question))}
+                </div>
+            ` : ''}
+            ${answerDetails}
+            ${question.explanation ? `
+                <div class="review-explanation">
+                    <i class="fas fa-lightbulb"></i> ${escapeHtml(question.explanation)}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Vocabulary flashcards
+// Cards come from a topic's word list and from the answers of its fixed questions
+function buildFlashcards(topic) {
+    const { nativeLanguage, vocabularyDirection } = getSettings();
+    const toEnglish = vocabularyDirection !== 'from-english';
+    
+    const termCards = (topic.terms || [])
+        .filter(term => term.glosses[nativeLanguage])
+        .map(term => ({
+            id: term.id,
+            label: term.partOfSpeech ? getPartOfSpeechLabel(term.partOfSpeech) : '',
+            front: toEnglish ? term.glosses[nativeLanguage] : term.term,
+            back: toEnglish ? term.term : term.glosses[nativeLanguage],
+            note: term.example || ''
+        }));
+    
+    const questionCards = tagTopicQuestions('vocabulary', topic)
+        .filter(q => !['matching', 'listening'].includes(q.type) && (!q.language || q.language === nativeLanguage))
+        .map(q => ({
+            id: q.id,
+            label: getQuestionTypeLabel(q.type),
+            front: q.question,
+            back: q.answer,
+            note: q.explanation || ''
+        }));
+    
+    return [...termCards, ...questionCards];
+}
+
+function getPartOfSpeechLabel(partOfSpeech) {
+    const key = `partOfSpeech.${partOfSpeech}`;
+    return hasMessage(key) ? t(key) : partOfSpeech;
+}
+
+function startFlashcards(topicId, cards = null) {
+    const topic = getTopics('vocabulary').find(t => t.id === topicId);
+    if (!topic) return;
+    
+    state.testType = 'vocabulary';
+    state.flashcards = {
+        topic,
+        cards: cards || buildFlashcards(topic),
+        index: 0,
+        flipped: false,
+        known: [],
+        missed: []
+    };
+    
+    renderFlashcards();
+    showPage('flashcards');
+}
+
+function renderFlashcards() {
+    const session = state.flashcards;
+    const isDone = session.index >= session.cards.length;
+    
+    document.getElementById('flashcards-title').textContent = session.topic.title;
+    document.getElementById('flashcards-study').style.display = isDone ? 'none' : 'block';
+    document.getElementById('flashcards-summary').style.display = isDone ? 'block' : 'none';
+    
+    if (isDone) {
+        renderFlashcardSummary();
+        return;
+    }
+    
+    const card = session.cards[session.index];
+    document.getElementById('flashcards-progress-fill').style.width = `${(session.index / session.cards.length) * 100}%`;
+    document.getElementById('flashcards-progress-text').textContent = t('flashcards.progress', {
+        current: session.index + 1,
+        total: session.cards.length
+    });
+    
+    document.getElementById('flashcard-label').textContent = card.label;
+    document.getElementById('flashcard-front').textContent = card.front;
+    document.getElementById('flashcard-back').textContent = card.back;
+    document.getElementById('flashcard-note').textContent = card.note;
+    document.getElementById('flashcard').classList.toggle('flipped', session.flipped);
+    
+    // Self-grading only makes sense once the answer has been seen
+    document.getElementById('flashcard-known-btn').disabled = !session.flipped;
+    document.getElementById('flashcard-unknown-btn').disabled = !session.flipped;
+    document.getElementById('flashcard-shuffle-btn').disabled = session.cards.length - session.index < 2;
+}
+
+function flipFlashcard() {
+    const session = state.flashcards;
+    if (session.index >= session.cards.length) return;
+    
+    session.flipped = !session.flipped;
+    renderFlashcards();
+}
+
+function gradeFlashcard(knewIt) {
+    const session = state.flashcards;
+    if (!session.flipped) return;
+    
+    (knewIt ? session.known : session.missed).push(session.cards[session.index]);
+    session.index++;
+    session.flipped = false;
+    renderFlashcards();
+}
+
+// Shuffles the cards that haven't been graded yet
+function shuffleFlashcards() {
+    const session = state.flashcards;
+    session.cards = [...session.cards.slice(0, session.index), ...shuffleArray(session.cards.slice(session.index))];
+    session.flipped = false;
+    renderFlashcards();
+}
+
+function renderFlashcardSummary() {
+    const session = state.flashcards;
+    
+    document.getElementById('flashcards-summary-text').textContent = session.missed.length === 0
+        ? t('flashcards.allKnown', { count: session.cards.length })
+        : t('flashcards.summary', { known: session.known.length, total: session.cards.length });
+    
+    document.getElementById('flashcards-missed').innerHTML = session.missed.map(card => `
+        <li>
+            <span class="flashcard-missed-front">${escapeHtml(card.front)}</span>
+            <i class="fas fa-arrow-right"></i>
+            <span class="flashcard-missed-back">${escapeHtml(card.back)}</span>
+        </li>
+    `).join('');
+    
+    document.getElementById('flashcards-missed-btn').disabled = session.missed.length === 0;
+}
+
+function setupFlashcardListeners() {
+    const flashcard = document.getElementById('flashcard');
+    flashcard.addEventListener('click', flipFlashcard);
+    flashcard.addEventListener('keydown', activateOnKey);
+    
+    document.getElementById('flashcard-known-btn').addEventListener('click', () => gradeFlashcard(true));
+    document.getElementById('flashcard-unknown-btn').addEventListener('click', () => gradeFlashcard(false));
+    document.getElementById('flashcard-shuffle-btn').addEventListener('click', shuffleFlashcards);
+    
+    document.getElementById('flashcards-missed-btn').addEventListener('click', () => {
+        startFlashcards(state.flashcards.topic.id, state.flashcards.missed);
+    });
+    document.getElementById('flashcards-restart-btn').addEventListener('click', () => {
+        startFlashcards(state.flashcards.topic.id);
+    });
+    document.getElementById('flashcards-topics-btn').addEventListener('click', () => {
+        showTopicSelection('vocabulary', 'flashcards');
+    });
+}
+
+// Custom tests
+// The builder mixes topics from both sections; its choices are remembered between visits
+function getBuilderConfig() {
+    return { topics: [], count: DEFAULT_BUILDER_COUNT, questionType: '', ...loadStored('builder', {}) };
+}
+
+function openBuilder() {
+    renderBuilder();
+    showPage('builder');
+}
+
+function renderBuilder() {
+    const config = getBuilderConfig();
+    
+    ['grammar', 'vocabulary'].forEach(section => {
+        document.getElementById(`builder-${section}-topics`).innerHTML = getTopics(section).map(topic => {
+            const isPicked = config.topics.some(entry => entry.section === section && entry.topicId === topic.id);
+            return `
+                <label class="builder-topic">
+                    <input type="checkbox" data-section="${section}" data-topic-id="${escapeHtml(String(topic.id))}" ${isPicked ? 'checked' : ''}>
+                    <span class="builder-topic-number">${escapeHtml(String(topic.id))}</span>
+                    ${escapeHtml(topic.title)}
+                </label>
+            `;
+        }).join('');
+    });
+    
+    // Listening questions can't be played without speech synthesis
+    const types = QUESTION_TYPES.filter(type => type !== 'listening' || canSpeak());
+    const typeSelect = document.getElementById('builder-question-type');
+    typeSelect.innerHTML = `<option value="">${t('builder.allTypes')}</option>` +
+        types.map(type => `<option value="${type}">${getQuestionTypeLabel(type)}</option>`).join('');
+    typeSelect.value = types.includes(config.questionType) ? config.questionType : '';
+    
+    document.getElementById('builder-count').value = config.count;
+    updateBuilderSummary();
+}
+
+function readBuilderConfig() {
+    const topics = [...document.querySelectorAll('.builder-topic-list input:checked')].map(input => ({
+        section: input.dataset.section,
+        topicId: Number(input.dataset.topicId)
+    }));
+    const count = Math.floor(Number(document.getElementById('builder-count').value));
+    
+    return {
+        topics,
+        count: count > 0 ? count : DEFAULT_BUILDER_COUNT,
+        questionType: document.getElementById('builder-question-type').value
+    };
+}
+
+// Saves the current choices and tells how many questions they give
+function updateBuilderSummary() {
+    const config = readBuilderConfig();
+    saveStored('builder', config);
+    
+    const available = getCustomQuestions(config).length;
+    let summary = t('builder.summary', {
+        count: Math.min(config.count, available),
+        topics: t('builder.topics', { count: config.topics.length }),
+        available
+    });
+    if (config.topics.length === 0) {
+        summary = t('builder.noTopics');
+    } else if (available === 0) {
+        summary = t('builder.noQuestions');
+    }
+    
+    document.getElementById('builder-summary').textContent = summary;
+    document.getElementById('builder-start-btn').disabled = available === 0;
+}
+
+function getCustomQuestions(config, random = Math.random, vocabulary = getSettings()) {
+    return config.topics
+        .flatMap(({ section, topicId }) => {
+            const topic = getTopics(section).find(t => t.id === topicId);
+            return topic ? getTopicQuestions(section, topic, random, vocabulary) : [];
+        })
+        .filter(question => !config.questionType || question.type === config.questionType);
+}
+
+// Returns false when the picked topics have no questions of the chosen type
+function startCustomTest(config, attempt = null) {
+    if (!confirmReplacingSavedTest()) return false;
+    
+    state.testType = null;
+    state.testMode = 'custom';
+    state.currentTopic = null;
+    resetTestProgress();
+    state.answerMode = getSettings().answerMode;
+    const random = beginAttempt(attempt);
+    
+    const questions = getCustomQuestions(config, random, state.attempt);
+    if (questions.length === 0) return false;
+    
+    state.customTest = config;
+    state.currentTest = shuffleArray(questions, random)
+        .slice(0, config.count)
+        .map(question => arrangeOptions(question, random));
+    
+    // Update test UI
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = state.currentTest.length;
+    
+    showPage('testSection');
+    startExamTimer();
+    renderQuestion();
+    return true;
+}
+
+function setupBuilderListeners() {
+    document.querySelectorAll('.builder-topic-list').forEach(list => {
+        list.addEventListener('change', updateBuilderSummary);
+    });
+    document.getElementById('builder-count').addEventListener('input', updateBuilderSummary);
+    document.getElementById('builder-question-type').addEventListener('change', updateBuilderSummary);
+    
+    document.querySelectorAll('[data-builder-select], [data-builder-clear]').forEach(button => {
+        button.addEventListener('click', () => {
+            const section = button.dataset.builderSelect || button.dataset.builderClear;
+            document.querySelectorAll(`#builder-${section}-topics input`).forEach(input => {
+                input.checked = Boolean(button.dataset.builderSelect);
+            });
+            updateBuilderSummary();
+        });
+    });
+    
+    document.getElementById('builder-start-btn').addEventListener('click', () => {
+        startCustomTest(readBuilderConfig());
+    });
+}
+
+// Keyboard and screen reader support
+// Reads a message out without moving focus
+function announce(message) {
+    const announcer = document.getElementById('test-announcer');
+    
+    // Clearing first makes screen readers repeat a message that hasn't changed
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
+// Cards that work as buttons: Enter and Space click them
+function activateOnKey(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.currentTarget.click();
+    }
+}
+
+// Test shortcuts: number keys pick an option, arrow keys move between options (up/down)
+// and questions (left/right), N and P go to the next and previous question
+function handleTestKeys(e) {
+    if (state.currentPage !== 'testSection' || e.altKey || e.ctrlKey || e.metaKey) return;
+    
+    // Typing an answer must not trigger shortcuts
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    
+    const key = e.key.toLowerCase();
+    const options = [...document.querySelectorAll('#options-container .option-btn')];
+    const question = state.currentTest[state.currentQuestionIndex];
+    
+    if (/^[1-9]$/.test(key) && hasOptions(question)) {
+        const option = options[Number(key) - 1];
+        if (option && !option.disabled) {
+            e.preventDefault();
+            option.focus();
+            option.click();
+        }
+    } else if ((key === 'arrowdown' || key === 'arrowup') && options.includes(e.target)) {
+        e.preventDefault();
+        const step = key === 'arrowdown' ? 1 : -1;
+        options[(options.indexOf(e.target) + step + options.length) % options.length].focus();
+    } else if (key === 'arrowright' || key === 'n') {
+        // Only moves between questions: finishing the test stays a deliberate click
+        const nextBtn = document.getElementById('next-btn');
+        if (!nextBtn.disabled && state.currentQuestionIndex < getTestLength() - 1) {
+            e.preventDefault();
+            nextQuestion();
+        }
+    } else if (key === 'arrowleft' || key === 'p') {
+        if (!document.getElementById('prev-btn').disabled) {
+            e.preventDefault();
+            previousQuestion();
+        }
+    }
+}
+
+function setupKeyboardControls() {
+    document.querySelectorAll('.menu-card').forEach(card => {
+        card.addEventListener('keydown', activateOnKey);
+    });
+    document.addEventListener('keydown', handleTestKeys);
+}
+
+// Matching, sentence ordering and error-correction questions
+function isInteractiveType(type) {
+    return INTERACTIVE_TYPES.includes(type);
+}
+
+// Text of the expected answer, used in feedback and the results breakdown
+function getCorrectAnswerText(question) {
+    if (question.type === 'matching') {
+        return question.pairs.map(pair => `${pair.left} → ${pair.right}`).join('; ');
+    }
+    return question.answer;
+}
+
+// Readable version of a student's answer
+function formatAnswer(question, selected) {
+    if (question.type === 'matching' && Array.isArray(selected)) {
+        return question.pairs.map((pair, index) => `${pair.left} → ${selected[index] || '?'}`).join('; ');
+    }
+    return selected;
+}
+
+function getOrderingTiles(question) {
+    return question.answer.replace(/[.?!]+$/, '').split(/\s+/);
+}
+
+function getSentenceWords(sentence) {
+    return sentence.trim().split(/\s+/);
+}
+
+function renderInteractiveQuestion(question, userAnswer) {
+    const container = document.getElementById('interactive-container');
+    const isChecked = Boolean(userAnswer && userAnswer.checked);
+    
+    container.style.display = 'block';
+    document.getElementById('submit-interactive-btn').disabled = isChecked;
+    
+    if (question.type === 'matching') {
+        renderMatchingQuestion(question, userAnswer, isChecked);
+    } else if (question.type === 'ordering') {
+        renderOrderingQuestion(question, userAnswer, isChecked);
+    } else {
+        renderErrorCorrectionQuestion(question, userAnswer, isChecked);
+    }
+    
+    if (isChecked) {
+        showFeedback(userAnswer.result, getCorrectAnswerText(question));
+    } else if (isQuestionOutOfTime()) {
+        container.querySelectorAll('button, input').forEach(control => {
+            control.disabled = true;
+        });
+    }
+}
+
+function renderMatchingQuestion(question, userAnswer, isChecked) {
+    const area = document.getElementById('interactive-area');
+    
+    if (!state.draftAnswer) {
+        state.draftAnswer = {
+            rights: shuffleArray(question.pairs.map(pair => pair.right), getQuestionRandom()),
+            matches: userAnswer ? [...userAnswer.selected] : question.pairs.map(() => null),
+            selectedLeft: null
+        };
+    }
+    const draft = state.draftAnswer;
+    
+    area.innerHTML = `
+        <p class="interactive-hint">${t('interactive.matchHint')}</p>
+        <div class="matching-grid">
+            <div class="matching-column">
+                ${question.pairs.map((pair, index) => {
+                    let stateClass = draft.selectedLeft === index ? 'selected' : '';
+                    if (isChecked) {
+                        stateClass = draft.matches[index] === pair.right ? 'correct' : 'incorrect';
+                    } else if (draft.matches[index]) {
+                        stateClass = 'paired';
+                    }
+                    return `
+                        <button class="match-item ${stateClass}" data-left="${index}" ${isChecked ? 'disabled' : ''}>
+                            <span>${escapeHtml(pair.left)}</span>
+                            <span class="match-choice">${draft.matches[index] ? `→ ${escapeHtml(draft.matches[index])}` : ''}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+            <div class="matching-column">
+                ${draft.rights.map((right, index) => `
+                    <button class="match-item ${draft.matches.includes(right) ? 'used' : ''}" data-right="${index}" draggable="${!isChecked}" ${isChecked ? 'disabled' : ''}>
+                        ${escapeHtml(right)}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    
+    if (isChecked) return;
+    
+    const pairWith = (leftIndex, rightValue) => {
+        // A right-hand item can only be used once
+        draft.matches = draft.matches.map(match => (match === rightValue ? null : match));
+        draft.matches[leftIndex] = rightValue;
+        draft.selectedLeft = null;
+        renderMatchingQuestion(question, userAnswer, false);
+    };
+    
+    area.querySelectorAll('[data-left]').forEach(btn => {
+        const leftIndex = Number(btn.dataset.left);
+        
+        btn.addEventListener('click', () => {
+            if (draft.matches[leftIndex]) {
+                draft.matches[leftIndex] = null;
+                draft.selectedLeft = null;
+            } else {
+                draft.selectedLeft = draft.selectedLeft === leftIndex ? null : leftIndex;
+            }
+            renderMatchingQuestion(question, userAnswer, false);
+        });
+        btn.addEventListener('dragover', e => e.preventDefault());
+        btn.addEventListener('drop', e => {
+            e.preventDefault();
+            pairWith(leftIndex, draft.rights[Number(e.dataTransfer.getData('text/plain'))]);
+        });
+    });
+    
+    area.querySelectorAll('[data-right]').forEach(btn => {
+        const rightValue = draft.rights[Number(btn.dataset.right)];
+        
+        btn.addEventListener('click', () => {
+            if (draft.selectedLeft !== null) {
+                pairWith(draft.selectedLeft, rightValue);
+            } else {
+                // Without a selected word, fill the first unmatched one
+                const firstOpen = draft.matches.indexOf(null);
+                if (firstOpen !== -1 && !draft.matches.includes(rightValue)) {
+                    pairWith(firstOpen, rightValue);
+                }
+            }
+        });
+        btn.addEventListener('dragstart', e => {
+            e.dataTransfer.setData('text/plain', btn.dataset.right);
+        });
+    });
+}
+
+function renderOrderingQuestion(question, userAnswer, isChecked) {
+    const area = document.getElementById('interactive-area');
+    const tiles = getOrderingTiles(question);
+    
+    if (!state.draftAnswer) {
+        const random = getQuestionRandom();
+        let shuffled = shuffleArray(tiles.map((word, index) => index), random);
+        // Don't hand out the tiles already in the right order
+        for (let attempt = 0; attempt < 5 && tiles.length > 1 && shuffled.every((tile, index) => tile === index); attempt++) {
+            shuffled = shuffleArray(shuffled, random);
+        }
+        state.draftAnswer = { bank: shuffled, placed: [] };
+        
+        // Put back a saved (exam mode) answer so it can be changed
+        if (userAnswer) {
+            getOrderingTiles({ answer: userAnswer.selected }).forEach(word => {
+                const tile = state.draftAnswer.bank.find(index => tiles[index] === word);
+                if (tile !== undefined) {
+                    state.draftAnswer.bank = state.draftAnswer.bank.filter(index => index !== tile);
+                    state.draftAnswer.placed.push(tile);
+                }
+            });
+        }
+    }
+    const draft = state.draftAnswer;
+    
+    const placedWords = isChecked ? getOrderingTiles({ answer: userAnswer.selected }) : draft.placed.map(index => tiles[index]);
+    
+    area.innerHTML = `
+        <p class="interactive-hint">${t('interactive.orderHint')}</p>
+        <div class="ordering-answer ${isChecked ? (userAnswer.isCorrect ? 'correct' : 'incorrect') : ''}">
+            ${placedWords.map((word, position) => `
+                <button class="word-tile" data-position="${position}" ${isChecked ? 'disabled' : ''}>${escapeHtml(word)}</button>
+            `).join('') || `<span class="ordering-placeholder">${t('interactive.orderPlaceholder')}</span>`}
+        </div>
+        <div class="ordering-bank">
+            ${isChecked ? '' : draft.bank.map(index => `
+                <button class="word-tile" data-tile="${index}">${escapeHtml(tiles[index])}</button>
+            `).join('')}
+        </div>
+    `;
+    
+    if (isChecked) return;
+    
+    area.querySelectorAll('[data-tile]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tile = Number(btn.dataset.tile);
+            draft.bank = draft.bank.filter(index => index !== tile);
+            draft.placed.push(tile);
+            renderOrderingQuestion(question, userAnswer, false);
+        });
+    });
+    
+    area.querySelectorAll('[data-position]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const [tile] = draft.placed.splice(Number(btn.dataset.position), 1);
+            draft.bank.push(tile);
+            renderOrderingQuestion(question, userAnswer, false);
+        });
+    });
+}
+
+function renderErrorCorrectionQuestion(question, userAnswer, isChecked) {
+    const area = document.getElementById('interactive-area');
+    const words = getSentenceWords(question.question);
+    
+    if (!state.draftAnswer) {
+        state.draftAnswer = {
+            wordIndex: userAnswer ? userAnswer.wordIndex : null,
+            correction: userAnswer ? userAnswer.correction : ''
+        };
+    }
+    const draft = state.draftAnswer;
+    
+    area.innerHTML = `
+        <p class="interactive-hint">${t('interactive.correctionHint')}</p>
+        <div class="sentence-words">
+            ${words.map((word, index) => {
+                let stateClass = draft.wordIndex === index ? 'selected' : '';
+                if (isChecked && draft.wordIndex === index) {
+                    stateClass = userAnswer.isCorrect ? 'correct' : 'incorrect';
+                }
+                return `<button class="word-tile ${stateClass}" data-word="${index}" ${isChecked ? 'disabled' : ''}>${escapeHtml(word)}</button>`;
+            }).join('')}
+        </div>
+        <input type="text" id="correction-input" class="correction-input" placeholder="${t('interactive.correctionPlaceholder')}" 
+            value="${escapeHtml(draft.correction || '')}" ${isChecked || draft.wordIndex === null ? 'disabled' : ''}>
+    `;
+    
+    if (isChecked) return;
+    
+    const input = document.getElementById('correction-input');
+    input.addEventListener('input', () => {
+        draft.correction = input.value;
+    });
+    input.addEventListener('keypress', e => {
+        if (e.key === 'Enter') {
+            submitInteractiveAnswer();
+        }
+    });
+    
+    area.querySelectorAll('[data-word]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            draft.wordIndex = Number(btn.dataset.word);
+            draft.correction = words[draft.wordIndex];
+            renderErrorCorrectionQuestion(question, userAnswer, false);
+            
+            const correctionInput = document.getElementById('correction-input');
+            correctionInput.focus();
+            correctionInput.select();
+        });
+    });
+}
+
+function showAnswerPrompt(message) {
+    const feedbackEl = document.getElementById('feedback');
+    feedbackEl.textContent = message;
+    feedbackEl.className = 'feedback incorrect';
+    feedbackEl.style.display = 'block';
+}
+
+function submitInteractiveAnswer() {
+    if (isQuestionOutOfTime()) return;
+    
+    const question = state.currentTest[state.currentQuestionIndex];
+    const draft = state.draftAnswer;
+    let answer = null;
+    
+    if (question.type === 'matching') {
+        if (draft.matches.includes(null)) {
+            showAnswerPrompt(t('feedback.matchAll'));
+            return;
+        }
+        answer = { selected: [...draft.matches] };
+    } else if (question.type === 'ordering') {
+        if (draft.bank.length > 0) {
+            showAnswerPrompt(t('feedback.useAllWords'));
+            return;
+        }
+        const tiles = getOrderingTiles(question);
+        answer = { selected: draft.placed.map(index => tiles[index]).join(' ') };
+    } else {
+        if (draft.wordIndex === null) {
+            showAnswerPrompt(t('feedback.tapMistake'));
+            return;
+        }
+        const words = getSentenceWords(question.question);
+        words[draft.wordIndex] = draft.correction.trim();
+        answer = {
+            selected: words.filter(Boolean).join(' '),
+            wordIndex: draft.wordIndex,
+            correction: draft.correction.trim()
+        };
+    }
+    
+    // Store the answer
+    state.userAnswers[state.currentQuestionIndex] = {
+        ...answer,
+        checked: false,
+        isCorrect: false
+    };
+    
+    // Enable next button
+    document.getElementById('next-btn').disabled = false;
+    
+    if (state.answerMode === 'exam') {
+        showAnswerSaved();
+        return;
+    }
+    
+    // Check the answer
+    checkAnswer();
+}
+
+// Exam timer
+function startQuestionClock() {
+    const index = state.currentQuestionIndex;
+    const userAnswer = state.userAnswers[index];
+    
+    // Answered questions no longer count towards time spent. A question whose time ran out
+    // isn't timed again either, or going back to it would skip ahead straight away.
+    state.questionClock = (userAnswer && userAnswer.checked) || isQuestionOutOfTime(index)
+        ? null
+        : { index, startedAt: Date.now() };
+    updateTimerDisplay();
+}
+
+function isQuestionOutOfTime(index = state.currentQuestionIndex) {
+    return Boolean(state.timer && state.timer.questionTimeLimit) &&
+        (state.questionTimes[index] || 0) >= state.timer.questionTimeLimit * 1000;
+}
+
+function stopQuestionClock() {
+    if (!state.questionClock) return;
+    
+    const { index, startedAt } = state.questionClock;
+    state.questionTimes[index] = (state.questionTimes[index] || 0) + (Date.now() - startedAt);
+    state.questionClock = null;
+}
+
+function getQuestionTimeRemaining() {
+    if (!state.timer || !state.timer.questionTimeLimit || !state.questionClock) return null;
+    
+    const { index, startedAt } = state.questionClock;
+    const spent = (state.questionTimes[index] || 0) + (Date.now() - startedAt);
+    return state.timer.questionTimeLimit * 1000 - spent;
+}
+
+function startExamTimer() {
+    stopExamTimer();
+    
+    const settings = getSettings();
+    if (!['overall', 'custom'].includes(state.testMode) || (!settings.timeLimit && !settings.questionTimeLimit)) {
+        // An untimed test doesn't keep the limits of an earlier one
+        state.timer = null;
+        updateTimerDisplay();
+        return;
+    }
+    
+    state.timer = {
+        timeLimit: settings.timeLimit,
+        questionTimeLimit: settings.questionTimeLimit,
+        endsAt: settings.timeLimit ? Date.now() + settings.timeLimit * 60 * 1000 : null,
+        intervalId: setInterval(tickExamTimer, 500)
+    };
+    updateTimerDisplay();
+}
+
+function stopExamTimer() {
+    if (state.timer) {
+        clearInterval(state.timer.intervalId);
+        state.timer.intervalId = null;
+    }
+}
+
+function tickExamTimer() {
+    if (!state.timer || !state.timer.intervalId) return;
+    
+    if (state.timer.endsAt && Date.now() >= state.timer.endsAt) {
+        state.timedOut = true;
+        finishTest();
+        return;
+    }
+    
+    const questionRemaining = getQuestionTimeRemaining();
+    if (questionRemaining !== null && questionRemaining <= 0) {
+        // Out of time for this question: leave it unanswered and move on
+        nextQuestion();
+        return;
+    }
+    
+    updateTimerDisplay();
+}
+
+function updateTimerDisplay() {
+    const timerDisplay = document.getElementById('timer-display');
+    const questionTimer = document.getElementById('question-timer');
+    const isRunning = Boolean(state.timer && state.timer.intervalId);
+    
+    timerDisplay.style.display = isRunning && state.timer.endsAt ? 'flex' : 'none';
+    if (isRunning && state.timer.endsAt) {
+        const remaining = Math.max(0, state.timer.endsAt - Date.now());
+        document.getElementById('timer-text').textContent = formatDuration(remaining, true);
+        timerDisplay.classList.toggle('warning', remaining < 60 * 1000);
+    }
+    
+    const questionRemaining = isRunning ? getQuestionTimeRemaining() : null;
+    questionTimer.style.display = questionRemaining === null ? 'none' : 'flex';
+    if (questionRemaining !== null) {
+        document.getElementById('question-timer-text').textContent = formatDuration(Math.max(0, questionRemaining), true);
+        questionTimer.classList.toggle('warning', questionRemaining < 10 * 1000);
+    }
+}
+
+// Saved tests
+// The test in progress is saved after every change, so leaving the test page or
+// closing the tab doesn't lose it. Teacher previews aren't saved.
+function isTestInProgress() {
+    return state.currentPage === 'testSection' && state.testMode !== 'preview';
+}
+
+function getSavedTest() {
+    return loadStored('activeTest', null);
+}
+
+function clearSavedTest() {
+    saveStored('activeTest', null);
+}
+
+// Only one test is kept. Starting a different one asks before the saved test is replaced.
+function confirmReplacingSavedTest() {
+    const saved = getSavedTest();
+    if (!saved || isTestInProgress()) return true;
+    
+    if (!confirm(t('resume.confirmReplace', { test: getSavedTestName(saved) }))) return false;
+    clearSavedTest();
+    return true;
+}
+
+function saveActiveTest() {
+    if (!state.currentTest || state.testMode === 'preview') return;
+    
+    // Count the time spent on the open question so far
+    const questionTimes = [...state.questionTimes];
+    if (state.questionClock) {
+        const { index, startedAt } = state.questionClock;
+        questionTimes[index] = (questionTimes[index] || 0) + (Date.now() - startedAt);
+    }
+    
+    saveStored('activeTest', {
+        testType: state.testType,
+        testMode: state.testMode,
+        answerMode: state.answerMode,
+        topicId: state.currentTopic ? state.currentTopic.id : null,
+        topicTitle: state.currentTopic ? state.currentTopic.title : null,
+        currentTest: state.currentTest,
+        currentQuestionIndex: state.currentQuestionIndex,
+        userAnswers: state.userAnswers,
+        score: state.score,
+        questionTimes,
+        hints: state.hints,
+        mistakesOnly: state.mistakesOnly,
+        placement: state.placement,
+        attempt: state.attempt,
+        customTest: state.customTest,
+        // The countdown doesn't run while the test is put away
+        timer: state.timer ? {
+            timeLimit: state.timer.timeLimit,
+            questionTimeLimit: state.timer.questionTimeLimit,
+            timeRemaining: state.timer.endsAt ? state.timer.endsAt - Date.now() : null
+        } : null,
+        total: getTestLength(),
+        savedAt: Date.now()
+    });
+}
+
+// Picks the saved test up where it was left. Returns false when its topic no longer exists.
+function resumeTest() {
+    const saved = getSavedTest();
+    if (!saved) return false;
+    
+    const topic = saved.topicId === null ? null : getTopics(saved.testType).find(t => t.id === saved.topicId);
+    if (topic === undefined) {
+        clearSavedTest();
+        updateResumeBanners();
+        return false;
+    }
+    
+    state.testType = saved.testType;
+    state.testMode = saved.testMode;
+    state.currentTopic = topic;
+    resetTestProgress();
+    beginAttempt(saved.attempt);
+    
+    state.answerMode = saved.answerMode;
+    state.currentTest = saved.currentTest;
+    state.currentQuestionIndex = saved.currentQuestionIndex;
+    state.userAnswers = saved.userAnswers;
+    state.score = saved.score;
+    state.questionTimes = saved.questionTimes;
+    state.hints = saved.hints;
+    state.mistakesOnly = saved.mistakesOnly;
+    state.placement = saved.placement;
+    state.customTest = saved.customTest;
+    
+    if (saved.timer) {
+        state.timer = {
+            timeLimit: saved.timer.timeLimit,
+            questionTimeLimit: saved.timer.questionTimeLimit,
+            endsAt: saved.timer.timeRemaining === null ? null : Date.now() + saved.timer.timeRemaining,
+            intervalId: setInterval(tickExamTimer, 500)
+        };
+    }
+    
+    // Update test UI
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = getTestLength();
+    
+    showPage('testSection');
+    renderQuestion();
+    return true;
+}
+
+function getSavedTestName(saved) {
+    const section = saved.testType ? t(`section.${saved.testType}`) : '';
+    const name = t(`results.name.${saved.testMode}`, { section, topic: saved.topicTitle || '' });
+    return saved.mistakesOnly ? t('results.name.mistakes', { test: name }) : name;
+}
+
+// "Resume test" banners on the home page and the section menus
+function updateResumeBanners() {
+    const saved = getSavedTest();
+    
+    document.querySelectorAll('.resume-banner').forEach(banner => {
+        banner.style.display = saved ? 'flex' : 'none';
+        if (saved) {
+            banner.querySelector('.resume-message').textContent = t('resume.message', {
+                test: getSavedTestName(saved),
+                question: saved.currentQuestionIndex + 1,
+                total: saved.total
+            });
+        }
+    });
+}
+
+function setupResumeControls() {
+    document.querySelectorAll('.resume-test-btn').forEach(button => {
+        button.addEventListener('click', resumeTest);
+    });
+    
+    document.querySelectorAll('.resume-discard-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            clearSavedTest();
+            updateResumeBanners();
+        });
+    });
+    
+    // Closing or reloading the page mid-test asks first; the answers are saved either way
+    window.addEventListener('beforeunload', (e) => {
+        if (!isTestInProgress()) return;
+        
+        saveActiveTest();
+        e.preventDefault();
+        e.returnValue = '';
+    });
+    window.addEventListener('pagehide', () => {
+        if (isTestInProgress()) {
+            saveActiveTest();
+        }
+    });
+}
+
+// Spaced repetition review (SM-2)
+function getReviewItems() {
+    return loadStored('reviewItems', {});
+}
+
+function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function getReviewQuality(result) {
+    if (result === 'correct') return 4;
+    if (result === 'almost') return 3;
+    return 1;
+}
+
+// Schedules a question after every checked answer. Questions only enter the
+// review deck once they have been answered wrong.
+function updateReviewItem(question, result) {
+    if (!question.id) return;
+    
+    const items = getReviewItems();
+    let item = items[question.id];
+    
+    if (!item) {
+        if (result === 'correct') return;
+        item = { ease: 2.5, interval: 0, repetitions: 0, lapses: 0, due: 0, history: [] };
+    }
+    
+    const quality = getReviewQuality(result);
+    const now = Date.now();
+    
+    if (quality < 3) {
+        item.repetitions = 0;
+        item.interval = 1;
+        item.lapses++;
+    } else {
+        item.repetitions++;
+        if (item.repetitions === 1) {
+            item.interval = 1;
+        } else if (item.repetitions === 2) {
+            item.interval = 6;
+        } else {
+            item.interval = Math.round(item.interval * item.ease);
+        }
+    }
+    
+    item.ease = Math.max(1.3, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    item.due = startOfDay(now) + item.interval * DAY_MS;
+    item.history = [...item.history, { timestamp: now, result }].slice(-REVIEW_HISTORY_LIMIT);
+    
+    items[question.id] = item;
+    saveStored('reviewItems', items);
+}
+
+// Before vocabulary was stored as terms, every word was a question of its own (asked in
+// Russian, answered in English) and the word's term kept that question's id. Review
+// items saved back then move to the word's question in the learner's language.
+function migrateReviewItems() {
+    const items = getReviewItems();
+    const termIds = new Set(getTopics('vocabulary').flatMap(topic => (topic.terms || []).map(term => term.id)));
+    const legacyIds = Object.keys(items).filter(id => termIds.has(id) || LEGACY_MATCHING_IDS[id]);
+    if (legacyIds.length === 0) return;
+    
+    legacyIds.forEach(id => {
+        const newId = `${LEGACY_MATCHING_IDS[id] || id}-${getTermQuestionSuffix()}`;
+        // Keep the newer schedule if the question was already reviewed under its new id
+        if (!items[newId]) {
+            items[newId] = items[id];
+        }
+        delete items[id];
+    });
+    saveStored('reviewItems', items);
+}
+
+function buildReviewQueue() {
+    const endOfToday = startOfDay(Date.now()) + DAY_MS;
+    const items = getReviewItems();
+    
+    return Object.keys(items)
+        .filter(id => items[id].due < endOfToday)
+        // Oldest due first, then the questions that were missed most often
+        .sort((a, b) => items[a].due - items[b].due || items[b].lapses - items[a].lapses)
+        .map(findQuestionById)
+        .filter(Boolean)
+        .slice(0, DAILY_REVIEW_LIMIT);
+}
+
+function updateReviewBanner() {
+    const dueCount = buildReviewQueue().length;
+    const message = document.getElementById('review-message');
+    const button = document.getElementById('start-review-btn');
+    
+    message.textContent = dueCount > 0 ? t('reviewBanner.due', { count: dueCount }) : t('reviewBanner.none');
+    button.disabled = dueCount === 0;
+}
+
+function startReviewSession() {
+    const queue = buildReviewQueue();
+    if (queue.length === 0) {
+        showPage('home');
+        return;
+    }
+    if (!confirmReplacingSavedTest()) return;
+    
+    state.testType = null;
+    state.testMode = 'review';
+    state.currentTopic = null;
+    resetTestProgress();
+    const random = beginAttempt();
+    state.currentTest = queue.map(question => arrangeOptions(question, random));
+    
+    // Update test UI
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = state.currentTest.length;
+    
+    showPage('testSection');
+    renderQuestion();
+}
+
+// Reading aloud (Web Speech API)
+const SPEECH_LANG = 'en-US';
+const SLOW_SPEECH_FACTOR = 0.7;
+
+function canSpeak() {
+    return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+function speak(text, slow = false) {
+    if (!canSpeak() || !text) return;
+    
+    const { speechVoice, speechRate } = getSettings();
+    // Blanks are read as a pause rather than "underscore underscore"
+    const utterance = new SpeechSynthesisUtterance(text.replace(/_{2,}/g, '…'));
+    utterance.lang = SPEECH_LANG;
+    utterance.rate = slow ? speechRate * SLOW_SPEECH_FACTOR : speechRate;
+    
+    const voice = speechSynthesis.getVoices().find(v => v.voiceURI === speechVoice);
+    if (voice) {
+        utterance.voice = voice;
+    }
+    
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+}
+
+function stopSpeaking() {
+    if (canSpeak()) {
+        speechSynthesis.cancel();
+    }
+}
+
+function renderSpeakButton(text) {
+    if (!canSpeak() || !text) return '';
+    return `
+        <button type="button" class="speak-btn" data-speak="${escapeHtml(text)}" title="${t('speech.listen')}" aria-label="${t('speech.listen')}">
+            <i class="fas fa-volume-up"></i>
+        </button>
+    `;
+}
+
+// Question text is only read when it is English content: not an instruction in the
+// learner's language ("language") and not an exercise that shows its own prompt
+function getSpeakableQuestion(question) {
+    return ['multiple-choice', 'fill-blank'].includes(question.type) && !question.language ? question.question : null;
+}
+
+// Answers in the learner's language ("answerLanguage") aren't read with an English voice
+function canSpeakAnswer(question) {
+    return question.type !== 'matching' && !question.answerLanguage;
+}
+
+// What a listening question plays: its "audio" text, or the answer itself for dictation
+function getListeningText(question) {
+    return question.audio || question.answer;
+}
+
+// The prompt of a listening question is hidden and played instead, once automatically
+function renderListeningControls(question, userAnswer) {
+    const isListening = question.type === 'listening';
+    document.getElementById('listening-controls').style.display = isListening ? 'flex' : 'none';
+    if (!isListening) return;
+    
+    const text = getListeningText(question);
+    document.getElementById('play-audio-btn').dataset.speak = text;
+    document.getElementById('play-audio-slow-btn').dataset.speak = text;
+    document.getElementById('play-audio-btn').style.display = canSpeak() ? '' : 'none';
+    document.getElementById('play-audio-slow-btn').style.display = canSpeak() ? '' : 'none';
+    document.getElementById('listening-unavailable').style.display = canSpeak() ? 'none' : 'block';
+    
+    if (!userAnswer) {
+        speak(text);
+    }
+}
+
+function populateVoiceOptions() {
+    const voices = speechSynthesis.getVoices().filter(voice => voice.lang.toLowerCase().startsWith('en'));
+    
+    document.querySelectorAll('.speech-voice-select').forEach(select => {
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            select.appendChild(option);
+        });
+    });
+    
+    syncSettingControls();
+}
+
+function setupSpeechControls() {
+    document.querySelectorAll('.speech-settings').forEach(row => {
+        row.style.display = canSpeak() ? '' : 'none';
+    });
+    if (!canSpeak()) return;
+    
+    // Voices load asynchronously in most browsers
+    populateVoiceOptions();
+    speechSynthesis.addEventListener('voiceschanged', populateVoiceOptions);
+    
+    // Speak buttons are rendered all over the app, so one listener serves them all
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-speak]');
+        if (button) {
+            speak(button.dataset.speak, button.dataset.speakSlow === 'true');
+        }
+    });
+}
+
+// Speaking questions
+// Answers are recorded with SpeechRecognition where the browser has it and typed otherwise
+function getSpeechRecognition() {
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function canRecognizeSpeech() {
+    return Boolean(getSpeechRecognition()) && !state.microphoneBlocked;
+}
+
+function renderSpeakingControls(question, userAnswer) {
+    const isSpeaking = question.type === 'speaking';
+    const useMicrophone = isSpeaking && canRecognizeSpeech();
+    
+    document.getElementById('speaking-controls').style.display = isSpeaking ? 'flex' : 'none';
+    document.getElementById('record-btn').style.display = useMicrophone ? '' : 'none';
+    document.getElementById('record-btn').disabled = Boolean(userAnswer && userAnswer.checked) || isQuestionOutOfTime();
+    document.getElementById('speaking-status').textContent = !isSpeaking ? '' 
+        : useMicrophone ? t('speaking.tapToSpeak') : t('speaking.typeInstead');
+    
+    // A recorded transcript can't be edited, only recorded again
+    const input = document.getElementById('fill-blank-input');
+    input.readOnly = useMicrophone;
+    input.placeholder = t(useMicrophone ? 'speaking.transcriptPlaceholder' : 'test.answerPlaceholder');
+    document.getElementById('submit-blank-btn').style.display = useMicrophone ? 'none' : '';
+    
+    updateRecordButton();
+}
+
+function updateRecordButton() {
+    const isRecording = Boolean(state.recognition);
+    const button = document.getElementById('record-btn');
+    button.classList.toggle('recording', isRecording);
+    button.querySelector('i').className = `fas ${isRecording ? 'fa-stop' : 'fa-microphone'}`;
+    document.getElementById('record-btn-text').textContent = t(isRecording ? 'speaking.stop' : 'speaking.start');
+}
+
+function toggleRecognition() {
+    if (state.recognition) {
+        state.recognition.stop();
+        return;
+    }
+    
+    const Recognition = getSpeechRecognition();
+    const recognition = new Recognition();
+    recognition.lang = SPEECH_LANG;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 5;
+    
+    const status = document.getElementById('speaking-status');
+    
+    recognition.addEventListener('result', (e) => {
+        const transcripts = Array.from(e.results[0]).map(alternative => alternative.transcript.trim()).filter(Boolean);
+        if (transcripts.length > 0) {
+            submitSpokenAnswer(transcripts);
+        }
+    });
+    
+    recognition.addEventListener('error', (e) => {
+        if (e.error === 'not-allowed' || e.error === 'service-not-allowed' || e.error === 'audio-capture') {
+            state.microphoneBlocked = true;
+            renderSpeakingControls(state.currentTest[state.currentQuestionIndex], state.userAnswers[state.currentQuestionIndex]);
+            status.textContent = t('speaking.denied');
+        } else {
+            status.textContent = t(e.error === 'no-speech' ? 'speaking.noSpeech' : 'speaking.error');
+        }
+    });
+    
+    recognition.addEventListener('end', () => {
+        if (state.recognition === recognition) {
+            state.recognition = null;
+            updateRecordButton();
+        }
+    });
+    
+    state.recognition = recognition;
+    status.textContent = t('speaking.listening');
+    updateRecordButton();
+    recognition.start();
+}
+
+function stopRecognition() {
+    if (!state.recognition) return;
+    
+    const recognition = state.recognition;
+    state.recognition = null;
+    recognition.abort();
+    updateRecordButton();
+}
+
+// Recognizers return several guesses of what was said; the one closest to an accepted answer is kept
+function submitSpokenAnswer(transcripts) {
+    const question = state.currentTest[state.currentQuestionIndex];
+    const rank = { correct: 0, almost: 1, incorrect: 2 };
+    const best = transcripts.reduce((chosen, transcript) => 
+        rank[evaluateAnswer(question, transcript)] < rank[evaluateAnswer(question, chosen)] ? transcript : chosen
+    );
+    
+    document.getElementById('fill-blank-input').value = best;
+    document.getElementById('speaking-status').textContent = t('speaking.tapToSpeak');
+    submitBlankAnswer();
+}
+
+// Answer matching
+const CONTRACTIONS = {
+    "i'm": "i am", "you're": "you are", "he's": "he is", "she's": "she is", "it's": "it is",
+    "we're": "we are", "they're": "they are", "that's": "that is", "there's": "there is",
+    "what's": "what is", "where's": "where is", "who's": "who is", "how's": "how is",
+    "i've": "i have", "you've": "you have", "we've": "we have", "they've": "they have",
+    "i'll": "i will", "you'll": "you will", "he'll": "he will", "she'll": "she will",
+    "it'll": "it will", "we'll": "we will", "they'll": "they will",
+    "i'd": "i would", "you'd": "you would", "he'd": "he would", "she'd": "she would",
+    "we'd": "we would", "they'd": "they would", "let's": "let us",
+    "isn't": "is not", "aren't": "are not", "wasn't": "was not", "weren't": "were not",
+    "don't": "do not", "doesn't": "does not", "didn't": "did not",
+    "haven't": "have not", "hasn't": "has not", "hadn't": "had not",
+    "can't": "cannot", "couldn't": "could not", "won't": "will not", "wouldn't": "would not",
+    "shouldn't": "should not", "mustn't": "must not", "needn't": "need not", "mightn't": "might not"
+};
+
+function normalizeAnswer(text) {
+    return String(text)
+        .toLowerCase()
+        // Curly quotes and accents typed by mobile keyboards
+        .replace(/[\u2018\u2019\u02bc`\u00b4]/g, "'")
+        .replace(/[a-z]+'[a-z]+/g, word => CONTRACTIONS[word] || word)
+        .replace(/\bcan not\b/g, 'cannot')
+        // Drop dots so "a.m." matches "am" and "U.K." matches "UK"
+        .replace(/\./g, '')
+        .replace(/'/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Optimal string alignment distance: like Levenshtein, but a swap of two
+// neighbouring letters ("teh" for "the") counts as a single typo
+function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+function getTypoTolerance(expected) {
+    // Short words like "he"/"me" differ by one letter, so they get no slack
+    if (expected.length <= 3) return 0;
+    if (expected.length <= 8) return 1;
+    return 2;
+}
+
+// Returns 'correct', 'almost' (a small typo) or 'incorrect'
+function evaluateAnswer(question, response) {
+    if (hasOptions(question)) {
+        return response === question.answer ? 'correct' : 'incorrect';
+    }
+    
+    if (question.type === 'matching') {
+        const isMatched = question.pairs.every((pair, index) => response[index] === pair.right);
+        return isMatched ? 'correct' : 'incorrect';
+    }
+    
+    const given = normalizeAnswer(response);
+    const accepted = [question.answer, ...(question.acceptedAnswers || [])].map(normalizeAnswer);
+    
+    if (accepted.includes(given)) {
+        return 'correct';
+    }
+    
+    // Tiles can't be misspelled, so a sentence order is simply right or wrong
+    if (question.type === 'ordering') {
+        return 'incorrect';
+    }
+    
+    // The sentence with its mistake is often within typo distance of the fix. Handing it
+    // back unchanged (or misspelled) isn't a near miss, so a correction only counts as
+    // one when it is closer to the fixed sentence than to the original.
+    const original = question.type === 'error-correction' ? normalizeAnswer(question.question) : null;
+    if (original !== null && given === original) {
+        return 'incorrect';
+    }
+    
+    const isAlmost = accepted.some(expected => {
+        return isTypoOf(expected, given) && (original === null || editDistance(given, expected) < editDistance(given, original));
+    });
+    return isAlmost ? 'almost' : 'incorrect';
+}
+
+// Typos are judged word by word, so "has been" for "have been" or "She is" for
+// "He is" stay wrong however long the sentence: every word has to be there and
+// each misspelled one must be within its own word's tolerance
+function isTypoOf(expected, given) {
+    return diffWords(expected, given).every(part => part.status === 'match' || part.status === 'almost');
+}
+
+// Word-by-word comparison of a spoken answer with the closest accepted answer. Each part is
+// { word, status }: 'match', 'almost' (a small slip, "said" holds what was heard),
+// 'missing' (expected but not said) or 'extra' (said but not expected).
+function diffWords(expected, given) {
+    const a = normalizeAnswer(expected).split(' ').filter(Boolean);
+    const b = normalizeAnswer(given).split(' ').filter(Boolean);
+    const isClose = (x, y) => x === y || editDistance(x, y) <= getTypoTolerance(x);
+    
+    // Longest common subsequence of the two word lists, built from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = isClose(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (isClose(a[i], b[j])) {
+            parts.push(a[i] === b[j] ? { word: a[i], status: 'match' } : { word: a[i], said: b[j], status: 'almost' });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            parts.push({ word: a[i++], status: 'missing' });
+        } else {
+            parts.push({ word: b[j++], status: 'extra' });
+        }
+    }
+    a.slice(i).forEach(word => parts.push({ word, status: 'missing' }));
+    b.slice(j).forEach(word => parts.push({ word, status: 'extra' }));
+    
+    return parts;
+}
+
+function getClosestAnswer(question, response) {
+    const given = normalizeAnswer(response);
+    const distance = answer => editDistance(normalizeAnswer(answer), given);
+    
+    return [question.answer, ...(question.acceptedAnswers || [])]
+        .reduce((best, answer) => distance(answer) < distance(best) ? answer : best);
+}
+
+function renderWordDiff(question, response) {
+    const parts = diffWords(getClosestAnswer(question, response), response);
+    return `
+        <div class="word-diff">
+            ${parts.map(part => `
+                <span class="diff-word ${part.status}" title="${escapeHtml(t(`speaking.diff.${part.status}`, { word: part.said }))}">${escapeHtml(part.word)}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Content loading
+function getTopics(type) {
+    return contentRegistry[type] || [];
+}
+
+function validateQuestion(question, label) {
+    const errors = [];
+    
+    if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(t('validation.unknownType', { label, type: question.type, types: QUESTION_TYPES.join(', ') }));
+    }
+    if (typeof question.question !== 'string' || !question.question.trim()) {
+        errors.push(t('validation.missingQuestion', { label }));
+    }
+    // Matching questions take their answers from "pairs"
+    if (question.type !== 'matching' && (typeof question.answer !== 'string' || !question.answer.trim())) {
+        errors.push(t('validation.missingAnswer', { label }));
+    }
+    if (question.acceptedAnswers !== undefined && 
+        (!Array.isArray(question.acceptedAnswers) || question.acceptedAnswers.some(a => typeof a !== 'string'))) {
+        errors.push(t('validation.notTextList', { label, field: 'acceptedAnswers' }));
+    }
+    if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+        errors.push(t('validation.notText', { label, field: 'explanation' }));
+    }
+    if (question.language !== undefined && !Object.keys(VOCABULARY_LANGUAGES).includes(question.language)) {
+        errors.push(t('validation.notOneOf', { label, field: 'language', values: Object.keys(VOCABULARY_LANGUAGES).join(', ') }));
+    }
+    if (question.weight !== undefined && (typeof question.weight !== 'number' || !(question.weight > 0))) {
+        errors.push(t('validation.weightNotPositive', { label }));
+    }
+    if (question.hint !== undefined && (typeof question.hint !== 'string' || !question.hint.trim())) {
+        errors.push(t('validation.notText', { label, field: 'hint' }));
+    }
+    if (question.level !== undefined && !CEFR_LEVELS.includes(question.level)) {
+        errors.push(t('validation.notOneOf', { label, field: 'level', values: CEFR_LEVELS.join(', ') }));
+    }
+    
+    // Listening questions are answered by typing unless they have options
+    if (question.type === 'multiple-choice' || (question.type === 'listening' && question.options !== undefined)) {
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+            errors.push(t('validation.fewOptions', { label, type: question.type }));
+        } else if (question.answer && !question.options.includes(question.answer)) {
+            errors.push(t('validation.answerNotOption', { label, answer: question.answer, options: question.options.join(', ') }));
+        }
+    }
+    
+    if (question.type === 'matching') {
+        const pairs = Array.isArray(question.pairs) ? question.pairs : [];
+        if (pairs.length < 2) {
+            errors.push(t('validation.fewPairs', { label }));
+        } else if (pairs.some(pair => !pair || !String(pair.left || '').trim() || !String(pair.right || '').trim())) {
+            errors.push(t('validation.incompletePair', { label }));
+        } else if (new Set(pairs.map(pair => pair.left)).size !== pairs.length || 
+                   new Set(pairs.map(pair => pair.right)).size !== pairs.length) {
+            errors.push(t('validation.repeatedPair', { label }));
+        }
+    }
+    
+    if (question.type === 'listening' && question.audio !== undefined && 
+        (typeof question.audio !== 'string' || !question.audio.trim())) {
+        errors.push(t('validation.notText', { label, field: 'audio' }));
+    }
+    
+    if (question.type === 'ordering' && typeof question.answer === 'string' && getOrderingTiles(question).length < 2) {
+        errors.push(t('validation.fewWords', { label }));
+    }
+    
+    if (question.type === 'error-correction' && typeof question.question === 'string' && 
+        typeof question.answer === 'string' && normalizeAnswer(question.question) === normalizeAnswer(question.answer)) {
+        errors.push(t('validation.noMistake', { label }));
+    }
+    
+    return errors;
+}
+
+// Checks a parsed content file and keeps only the usable topics and questions.
+// Every problem is reported with the file, topic and question it was found in.
+function validateContent(data, source) {
+    const errors = [];
+    const topics = [];
+    
+    if (!data || !Array.isArray(data.topics)) {
+        return { topics, errors: [t('validation.noTopicsList', { source })] };
+    }
+    
+    const topicIds = new Set();
+    const questionIds = new Set();
+    
+    data.topics.forEach((topic, topicIndex) => {
+        const topicLabel = topic && topic.title
+            ? t('validation.namedTopic', { source, number: topicIndex + 1, title: topic.title })
+            : t('validation.topic', { source, number: topicIndex + 1 });
+        
+        if (!topic || typeof topic !== 'object') {
+            errors.push(t('validation.topicNotObject', { label: topicLabel }));
+            return;
+        }
+        if (!Number.isInteger(topic.id)) {
+            errors.push(t('validation.topicIdNotWhole', { label: topicLabel }));
+            return;
+        }
+        if (topicIds.has(topic.id)) {
+            errors.push(t('validation.duplicateTopicId', { label: topicLabel, id: topic.id }));
+            return;
+        }
+        if (typeof topic.title !== 'string' || !topic.title.trim()) {
+            errors.push(t('validation.missingTitle', { label: topicLabel }));
+            return;
+        }
+        if (!Array.isArray(topic.questions)) {
+            errors.push(t('validation.notList', { label: topicLabel, field: 'questions' }));
+            return;
+        }
+        topicIds.add(topic.id);
+        
+        // A bad level only keeps the topic out of placement tests
+        if (topic.level !== undefined && !CEFR_LEVELS.includes(topic.level)) {
+            errors.push(t('validation.levelIgnored', { label: topicLabel, values: CEFR_LEVELS.join(', ') }));
+        }
+        
+        const questions = topic.questions.filter((question, questionIndex) => {
+            const label = t('validation.question', { topic: topicLabel, number: questionIndex + 1 });
+            
+            if (!question || typeof question !== 'object') {
+                errors.push(t('validation.questionNotObject', { label }));
+                return false;
+            }
+            
+            const questionErrors = validateQuestion(question, label);
+            if (question.id !== undefined) {
+                if (questionIds.has(question.id)) {
+                    questionErrors.push(t('validation.duplicateQuestionId', { label, id: question.id }));
+                }
+                questionIds.add(question.id);
+            }
+            
+            errors.push(...questionErrors);
+            return questionErrors.length === 0;
+        });
+        
+        if (topic.terms !== undefined && !Array.isArray(topic.terms)) {
+            errors.push(t('validation.notList', { label: topicLabel, field: 'terms' }));
+        }
+        const terms = (Array.isArray(topic.terms) ? topic.terms : []).filter((term, termIndex) => {
+            const label = t('validation.term', { topic: topicLabel, number: termIndex + 1 });
+            const termErrors = validateTerm(term, label);
+            if (term && term.id !== undefined) {
+                if (questionIds.has(term.id)) {
+                    termErrors.push(t('validation.duplicateId', { label, id: term.id }));
+                }
+                questionIds.add(term.id);
+            }
+            
+            errors.push(...termErrors);
+            return termErrors.length === 0;
+        });
+        
+        if (questions.length === 0 && terms.length === 0) {
+            errors.push(t('validation.noValidQuestions', { label: topicLabel }));
+            return;
+        }
+        
+        topics.push({
+            ...topic,
+            description: topic.description || '',
+            level: CEFR_LEVELS.includes(topic.level) ? topic.level : undefined,
+            terms: Array.isArray(topic.terms) ? terms : undefined,
+            questions
+        });
+    });
+    
+    return { topics, errors };
+}
+
+async function loadContent() {
+    const errors = [];
+    
+    await Promise.all(Object.keys(CONTENT_FILES).map(async type => {
+        const source = CONTENT_FILES[type];
+        try {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const result = validateContent(await response.json(), source);
+            builtInContent[type] = result.topics;
+            errors.push(...result.errors);
+        } catch (e) {
+            errors.push(t('validation.loadFailed', { source, error: e.message }));
+        }
+        
+        // Problems in a teacher's custom bank are shown in the editor, not to learners
+        refreshRegistry(type);
+    }));
+    
+    showContentErrors(errors);
+}
+
+function showContentErrors(errors) {
+    const container = document.getElementById('content-errors');
+    
+    if (errors.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    errors.forEach(error => console.error(error));
+    container.innerHTML = `
+        <h3><i class="fas fa-exclamation-triangle"></i> ${t('content.errorsTitle')}</h3>
+        <ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+    `;
+    container.style.display = 'block';
+}
+
+// Teacher editor
+// Custom banks are stored as an overlay on the built-in content: topics that
+// were added or changed, built-in topics that were removed and the topic order.
+function getCustomBank() {
+    return loadStored('customBank', {});
+}
+
+function cloneTopics(topics) {
+    return JSON.parse(JSON.stringify(topics));
+}
+
+function mergeTopics(builtInTopics, overlay) {
+    if (!overlay) return builtInTopics;
+    
+    const removed = new Set(overlay.removed || []);
+    const customTopics = overlay.topics || [];
+    const merged = builtInTopics
+        .filter(topic => !removed.has(topic.id))
+        .map(topic => customTopics.find(custom => custom.id === topic.id) || topic);
+    
+    customTopics.forEach(topic => {
+        if (!merged.some(existing => existing.id === topic.id)) {
+            merged.push(topic);
+        }
+    });
+    
+    if (overlay.order) {
+        const position = id => {
+            const index = overlay.order.indexOf(id);
+            return index === -1 ? Infinity : index;
+        };
+        merged.sort((a, b) => position(a.id) - position(b.id));
+    }
+    
+    return merged;
+}
+
+function buildOverlay(builtInTopics, topics) {
+    const ids = topics.map(topic => topic.id);
+    
+    return {
+        topics: topics.filter(topic => {
+            const original = builtInTopics.find(builtIn => builtIn.id === topic.id);
+            return !original || JSON.stringify(original) !== JSON.stringify(topic);
+        }),
+        removed: builtInTopics.map(topic => topic.id).filter(id => !ids.includes(id)),
+        order: ids
+    };
+}
+
+// Rebuilds the registry for a section from the built-in topics and the
+// (validated) custom overlay
+function refreshRegistry(type) {
+    questionIndex = null;
+    const overlay = getCustomBank()[type];
+    if (!overlay) {
+        contentRegistry[type] = builtInContent[type];
+        return [];
+    }
+    
+    const result = validateContent({ topics: overlay.topics || [] }, t('validation.customBank', { section: t(`section.${type}`) }));
+    contentRegistry[type] = mergeTopics(builtInContent[type], { ...overlay, topics: result.topics });
+    return result.errors;
+}
+
+function saveCustomSection(type, topics) {
+    const bank = getCustomBank();
+    bank[type] = buildOverlay(builtInContent[type], topics);
+    saveStored('customBank', bank);
+    refreshRegistry(type);
+}
+
+function openEditor(type) {
+    state.editor = {
+        section: type,
+        // Work on the raw overlay so half-finished questions aren't dropped by validation
+        topics: cloneTopics(mergeTopics(builtInContent[type], getCustomBank()[type])),
+        selectedTopicId: null,
+        previewQuestions: null
+    };
+    state.editor.selectedTopicId = state.editor.topics.length > 0 ? state.editor.topics[0].id : null;
+    
+    // Custom questions that are broken are left out of tests until they are fixed
+    const errors = refreshRegistry(type);
+    showEditorMessage(errors.length > 0 ? t('editor.bankErrors', { errors: errors.join(' • ') }) : '', true);
+    renderEditor();
+    showPage('editor');
+}
+
+function getEditorTopic() {
+    return state.editor.topics.find(topic => topic.id === state.editor.selectedTopicId) || null;
+}
+
+function commitEditorChanges() {
+    saveCustomSection(state.editor.section, state.editor.topics);
+}
+
+function showEditorMessage(message, isError = false) {
+    const messageEl = document.getElementById('editor-message');
+    messageEl.textContent = message;
+    messageEl.className = `editor-message ${isError ? 'error' : 'success'}`;
+    messageEl.style.display = message ? 'block' : 'none';
+}
+
+function renderEditor() {
+    document.querySelectorAll('.editor-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.section === state.editor.section);
+    });
+    
+    renderEditorTopicList();
+    renderEditorDetail();
+}
+
+function renderEditorTopicList() {
+    const list = document.getElementById('editor-topic-list');
+    
+    list.innerHTML = state.editor.topics.map((topic, index) => `
+        <div class="editor-topic-item ${topic.id === state.editor.selectedTopicId ? 'selected' : ''}" data-topic-id="${topic.id}">
+            <span class="editor-topic-title" data-action="select-topic">${topic.id}. ${escapeHtml(topic.title || t('editor.untitledTopic'))}</span>
+            <span class="editor-item-actions">
+                <button data-action="move-topic" data-direction="-1" title="${t('editor.moveUp')}" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button data-action="move-topic" data-direction="1" title="${t('editor.moveDown')}" ${index === state.editor.topics.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button data-action="delete-topic" title="${t('editor.deleteTopic')}"><i class="fas fa-trash"></i></button>
+            </span>
+        </div>
+    `).join('');
+}
+
+function renderEditorDetail() {
+    const detail = document.getElementById('editor-detail');
+    const topic = getEditorTopic();
+    
+    if (!topic) {
+        detail.innerHTML = `<p class="editor-empty">${t('editor.noTopic')}</p>`;
+        return;
+    }
+    
+    detail.innerHTML = `
+        <div class="editor-topic-fields">
+            <label>${t('editor.topicTitle')}
+                <input type="text" data-topic-field="title" value="${escapeHtml(topic.title || '')}">
+            </label>
+            <label>${t('editor.topicDescription')}
+                <input type="text" data-topic-field="description" value="${escapeHtml(topic.description || '')}">
+            </label>
+            <label>${t('editor.topicLevel')}
+                <select data-topic-field="level">
+                    <option value="">${t('editor.levelNotSet')}</option>
+                    ${CEFR_LEVELS.map(level => `<option value="${level}" ${topic.level === level ? 'selected' : ''}>${level}</option>`).join('')}
+                </select>
+            </label>
+            <button class="action-btn" data-action="preview-topic"><i class="fas fa-eye"></i> ${t('editor.previewTopic')}</button>
+        </div>
+        ${state.editor.section === 'vocabulary' ? renderEditorTerms(topic) : ''}
+        <div class="editor-questions">
+            ${topic.questions.map((question, index) => renderEditorQuestion(question, index, topic.questions.length)).join('')}
+        </div>
+        <button class="action-btn" data-action="add-question"><i class="fas fa-plus"></i> ${t('editor.addQuestion')}</button>
+    `;
+}
+
+function renderEditorQuestion(question, index, total) {
+    const typeOptions = QUESTION_TYPES.map(type => 
+        `<option value="${type}" ${question.type === type ? 'selected' : ''}>${getQuestionTypeLabel(type)}</option>`
+    ).join('');
+    
+    let answerFields = '';
+    if (hasOptions(question)) {
+        const options = question.options || [];
+        answerFields = `
+            <div class="editor-options">
+                <span class="editor-label">${t('editor.options')}</span>
+                ${options.map((option, optionIndex) => `
+                    <div class="editor-option">
+                        <input type="radio" name="answer-${index}" data-action="set-answer" data-option-index="${optionIndex}" ${option === question.answer && option !== '' ? 'checked' : ''}>
+                        <input type="text" data-field="option" data-option-index="${optionIndex}" value="${escapeHtml(option)}">
+                        <button data-action="remove-option" data-option-index="${optionIndex}" title="${t('editor.removeOption')}"><i class="fas fa-times"></i></button>
+                    </div>
+                `).join('')}
+                <button class="editor-link-btn" data-action="add-option"><i class="fas fa-plus"></i> ${t('editor.addOption')}</button>
+            </div>
+        `;
+    } else if (question.type === 'matching') {
+        const pairs = question.pairs || [];
+        answerFields = `
+            <div class="editor-options">
+                <span class="editor-label">${t('editor.pairs')}</span>
+                ${pairs.map((pair, pairIndex) => `
+                    <div class="editor-option">
+                        <input type="text" data-field="pair-left" data-pair-index="${pairIndex}" value="${escapeHtml(pair.left)}">
+                        <i class="fas fa-arrows-alt-h"></i>
+                        <input type="text" data-field="pair-right" data-pair-index="${pairIndex}" value="${escapeHtml(pair.right)}">
+                        <button data-action="remove-pair" data-pair-index="${pairIndex}" title="${t('editor.removePair')}"><i class="fas fa-times"></i></button>
+                    </div>
+                `).join('')}
+                <button class="editor-link-btn" data-action="add-pair"><i class="fas fa-plus"></i> ${t('editor.addPair')}</button>
+            </div>
+        `;
+    } else {
+        answerFields = `
+            <label>${getEditorLabel('answerLabel', question.type)}
+                <input type="text" data-field="answer" value="${escapeHtml(question.answer || '')}">
+            </label>
+            <label>${t('editor.acceptedAnswers')}
+                <textarea rows="2" data-field="acceptedAnswers">${escapeHtml((question.acceptedAnswers || []).join('\n'))}</textarea>
+            </label>
+        `;
+    }
+    
+    return `
+        <div class="editor-question" data-question-index="${index}">
+            <div class="editor-question-header">
+                <span class="editor-question-number">Q${index + 1}</span>
+                <select data-field="type">${typeOptions}</select>
+                <span class="editor-item-actions">
+                    <button data-action="preview-question" title="${t('editor.preview')}"><i class="fas fa-eye"></i></button>
+                    <button data-action="move-question" data-direction="-1" title="${t('editor.moveUp')}" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                    <button data-action="move-question" data-direction="1" title="${t('editor.moveDown')}" ${index === total - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                    <button data-action="delete-question" title="${t('editor.deleteQuestion')}"><i class="fas fa-trash"></i></button>
+                </span>
+            </div>
+            <label>${getEditorLabel('questionLabel', question.type)}
+                <input type="text" data-field="question" value="${escapeHtml(question.question || '')}">
+            </label>
+            ${question.type === 'listening' ? `
+                <label>${t('editor.audio')}
+                    <input type="text" data-field="audio" value="${escapeHtml(question.audio || '')}">
+                </label>
+            ` : ''}
+            ${state.editor.section === 'vocabulary' ? `
+                <label>${t('editor.shownTo')}
+                    <select data-field="language">
+                        <option value="">${t('editor.allLearners')}</option>
+                        ${Object.entries(VOCABULARY_LANGUAGES).map(([code, language]) => 
+                            `<option value="${code}" ${question.language === code ? 'selected' : ''}>${t('editor.speakers', { language: language.name })}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            ${answerFields}
+            <label>${t('editor.hint')}
+                <textarea rows="2" data-field="hint">${escapeHtml(question.hint || '')}</textarea>
+            </label>
+            <label>${t('editor.explanation')}
+                <textarea rows="2" data-field="explanation">${escapeHtml(question.explanation || '')}</textarea>
+            </label>
+            <label class="editor-weight">${t('editor.weight')}
+                <input type="number" min="0.5" step="0.5" data-field="weight" value="${question.weight || ''}" placeholder="1">
+            </label>
+            <ul class="editor-errors">${renderEditorErrors(question)}</ul>
+        </div>
+    `;
+}
+
+// Vocabulary words. Their questions are generated for each learner's language and direction.
+function renderEditorTerms(topic) {
+    const terms = topic.terms || [];
+    
+    return `
+        <div class="editor-terms">
+            <span class="editor-label">${t('editor.terms')}</span>
+            ${terms.map((term, index) => `
+                <div class="editor-question editor-term" data-term-index="${index}">
+                    <div class="editor-question-header">
+                        <span class="editor-question-number">W${index + 1}</span>
+                        <span class="editor-item-actions">
+                            <button data-action="delete-term" title="${t('editor.deleteTerm')}"><i class="fas fa-trash"></i></button>
+                        </span>
+                    </div>
+                    <div class="editor-term-fields">
+                        <label>${t('editor.term')}
+                            <input type="text" data-term-field="term" value="${escapeHtml(term.term || '')}">
+                        </label>
+                        <label>${t('editor.partOfSpeech')}
+                            <input type="text" data-term-field="partOfSpeech" value="${escapeHtml(term.partOfSpeech || '')}">
+                        </label>
+                        ${Object.entries(VOCABULARY_LANGUAGES).map(([code, language]) => `
+                            <label>${language.name}
+                                <input type="text" data-term-field="gloss" data-language="${code}" value="${escapeHtml((term.glosses || {})[code] || '')}">
+                            </label>
+                        `).join('')}
+                    </div>
+                    <label>${t('editor.example')}
+                        <input type="text" data-term-field="example" value="${escapeHtml(term.example || '')}">
+                    </label>
+                    <label>${t('editor.distractors')}
+                        <textarea rows="2" data-term-field="distractors">${escapeHtml((term.distractors || []).join('\n'))}</textarea>
+                    </label>
+                    <ul class="editor-errors">${renderEditorTermErrors(term)}</ul>
+                </div>
+            `).join('')}
+            <button class="action-btn" data-action="add-term"><i class="fas fa-plus"></i> ${t('editor.addTerm')}</button>
+        </div>
+    `;
+}
+
+function renderEditorTermErrors(term) {
+    return validateTerm(term, t('validation.thisWord'))
+        .map(error => `<li>${escapeHtml(error)}</li>`)
+        .join('');
+}
+
+// Some question types name their question and answer fields differently
+function getEditorLabel(field, type) {
+    const key = `editor.${field}.${type}`;
+    return hasMessage(key) ? t(key) : t(`editor.${field}.default`);
+}
+
+function renderEditorErrors(question) {
+    return validateQuestion(question, t('validation.thisQuestion'))
+        .map(error => `<li>${escapeHtml(error)}</li>`)
+        .join('');
+}
+
+function moveItem(list, index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= list.length) return;
+    [list[index], list[target]] = [list[target], list[index]];
+}
+
+function createQuestionId() {
+    return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function handleEditorClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button || button.type === 'radio') return;
+    
+    const action = button.dataset.action;
+    const topicItem = button.closest('[data-topic-id]');
+    const questionCard = button.closest('[data-question-index]');
+    const termCard = button.closest('[data-term-index]');
+    const topic = getEditorTopic();
+    const questionIndex = questionCard ? Number(questionCard.dataset.questionIndex) : -1;
+    const question = topic && questionIndex >= 0 ? topic.questions[questionIndex] : null;
+    
+    if (action === 'select-topic') {
+        state.editor.selectedTopicId = Number(topicItem.dataset.topicId);
+        renderEditor();
+        return;
+    }
+    
+    if (action === 'move-topic') {
+        const index = state.editor.topics.findIndex(t => t.id === Number(topicItem.dataset.topicId));
+        moveItem(state.editor.topics, index, Number(button.dataset.direction));
+    } else if (action === 'delete-topic') {
+        const id = Number(topicItem.dataset.topicId);
+        const target = state.editor.topics.find(t => t.id === id);
+        if (!confirm(t('editor.confirmDeleteTopic', { title: target.title }))) return;
+        
+        state.editor.topics = state.editor.topics.filter(t => t.id !== id);
+        if (state.editor.selectedTopicId === id) {
+            state.editor.selectedTopicId = state.editor.topics.length > 0 ? state.editor.topics[0].id : null;
+        }
+    } else if (action === 'add-topic') {
+        const nextId = Math.max(0, ...state.editor.topics.map(t => t.id), ...builtInContent[state.editor.section].map(t => t.id)) + 1;
+        state.editor.topics.push({ id: nextId, title: t('editor.newTopic'), description: '', questions: [] });
+        state.editor.selectedTopicId = nextId;
+    } else if (action === 'add-question') {
+        topic.questions.push({ id: createQuestionId(), type: 'multiple-choice', question: '', options: ['', '', ''], answer: '' });
+    } else if (action === 'move-question') {
+        moveItem(topic.questions, questionIndex, Number(button.dataset.direction));
+    } else if (action === 'delete-question') {
+        if (!confirm(t('editor.confirmDeleteQuestion'))) return;
+        topic.questions.splice(questionIndex, 1);
+    } else if (action === 'add-term') {
+        topic.terms = [...(topic.terms || []), { id: createQuestionId(), term: '', glosses: {} }];
+    } else if (action === 'delete-term') {
+        if (!confirm(t('editor.confirmDeleteTerm'))) return;
+        topic.terms.splice(Number(termCard.dataset.termIndex), 1);
+    } else if (action === 'add-option') {
+        question.options = [...(question.options || []), ''];
+    } else if (action === 'add-pair') {
+        question.pairs = [...(question.pairs || []), { left: '', right: '' }];
+    } else if (action === 'remove-pair') {
+        question.pairs.splice(Number(button.dataset.pairIndex), 1);
+    } else if (action === 'remove-option') {
+        const [removed] = question.options.splice(Number(button.dataset.optionIndex), 1);
+        if (removed === question.answer) {
+            question.answer = '';
+        }
+    } else if (action === 'preview-topic') {
+        // Words are previewed as the questions generated for the teacher's own language settings
+        const terms = (topic.terms || []).filter(term => validateTerm(term, '').length === 0);
+        startPreview(topic, [...buildTermQuestions(state.editor.section, { ...topic, terms }), ...topic.questions]);
+        return;
+    } else if (action === 'preview-question') {
+        startPreview(topic, [question]);
+        return;
+    }
+    
+    commitEditorChanges();
+    renderEditor();
+}
+
+// Text edits update the model in place so the focused field isn't re-rendered
+function handleEditorInput(e) {
+    const field = e.target;
+    const topic = getEditorTopic();
+    if (!topic) return;
+    
+    if (field.dataset.topicField) {
+        if (field.value === '' && field.dataset.topicField === 'level') {
+            delete topic.level;
+        } else {
+            topic[field.dataset.topicField] = field.value;
+        }
+        commitEditorChanges();
+        if (field.dataset.topicField === 'title') {
+            renderEditorTopicList();
+        }
+        return;
+    }
+    
+    const termCard = field.closest('[data-term-index]');
+    if (termCard && field.dataset.termField) {
+        updateEditorTerm(topic.terms[Number(termCard.dataset.termIndex)], field);
+        commitEditorChanges();
+        termCard.querySelector('.editor-errors').innerHTML = renderEditorTermErrors(topic.terms[Number(termCard.dataset.termIndex)]);
+        return;
+    }
+    
+    const questionCard = field.closest('[data-question-index]');
+    if (!questionCard || !field.dataset.field) return;
+    
+    const question = topic.questions[Number(questionCard.dataset.questionIndex)];
+    
+    if (field.dataset.field === 'option') {
+        const optionIndex = Number(field.dataset.optionIndex);
+        // Keep the answer pointing at the same option while its text changes
+        if (question.answer && question.answer === question.options[optionIndex]) {
+            question.answer = field.value;
+        }
+        question.options[optionIndex] = field.value;
+    } else if (field.dataset.field === 'pair-left' || field.dataset.field === 'pair-right') {
+        const side = field.dataset.field === 'pair-left' ? 'left' : 'right';
+        question.pairs[Number(field.dataset.pairIndex)][side] = field.value;
+    } else if (field.dataset.field === 'acceptedAnswers') {
+        const accepted = field.value.split('\n').map(line => line.trim()).filter(Boolean);
+        if (accepted.length > 0) {
+            question.acceptedAnswers = accepted;
+        } else {
+            delete question.acceptedAnswers;
+        }
+    } else if (field.dataset.field === 'weight') {
+        if (field.value === '') {
+            delete question.weight;
+        } else {
+            question.weight = Number(field.value);
+        }
+    } else if (['explanation', 'hint', 'language', 'audio'].includes(field.dataset.field)) {
+        if (field.value.trim()) {
+            question[field.dataset.field] = field.value;
+        } else {
+            delete question[field.dataset.field];
+        }
+    } else if (field.dataset.field !== 'type') {
+        question[field.dataset.field] = field.value;
+    }
+    
+    commitEditorChanges();
+    questionCard.querySelector('.editor-errors').innerHTML = renderEditorErrors(question);
+}
+
+// Optional fields are left out when empty, as in the content files
+function updateEditorTerm(term, field) {
+    const value = field.value.trim();
+    
+    if (field.dataset.termField === 'gloss') {
+        term.glosses = { ...term.glosses };
+        if (value) {
+            term.glosses[field.dataset.language] = field.value;
+        } else {
+            delete term.glosses[field.dataset.language];
+        }
+    } else if (field.dataset.termField === 'distractors') {
+        const distractors = field.value.split('\n').map(line => line.trim()).filter(Boolean);
+        if (distractors.length > 0) {
+            term.distractors = distractors;
+        } else {
+            delete term.distractors;
+        }
+    } else if (field.dataset.termField === 'term' || value) {
+        term[field.dataset.termField] = field.value;
+    } else {
+        delete term[field.dataset.termField];
+    }
+}
+
+function handleEditorChange(e) {
+    const field = e.target;
+    const questionCard = field.closest('[data-question-index]');
+    if (!questionCard) return;
+    
+    const question = getEditorTopic().questions[Number(questionCard.dataset.questionIndex)];
+    
+    if (field.dataset.action === 'set-answer') {
+        question.answer = question.options[Number(field.dataset.optionIndex)];
+    } else if (field.dataset.field === 'type') {
+        question.type = field.value;
+        if (question.type === 'multiple-choice') {
+            question.options = question.options || (question.answer ? [question.answer, '', ''] : ['', '', '']);
+            delete question.acceptedAnswers;
+        } else {
+            delete question.options;
+        }
+        
+        if (question.type !== 'listening') {
+            delete question.audio;
+        }
+        
+        if (question.type === 'matching') {
+            question.pairs = question.pairs || [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }];
+            delete question.answer;
+            delete question.acceptedAnswers;
+        } else {
+            delete question.pairs;
+            question.answer = question.answer || '';
+        }
+    } else {
+        return;
+    }
+    
+    commitEditorChanges();
+    renderEditorDetail();
+}
+
+function startPreview(topic, questions) {
+    const errors = questions.flatMap(question => 
+        validateQuestion(question, t('validation.questionNumber', { number: topic.questions.indexOf(question) + 1 }))
+    );
+    if (questions.length === 0 || errors.length > 0) {
+        showEditorMessage(errors.length > 0 ? errors.join(' • ') : t('editor.previewEmpty'), true);
+        return;
+    }
+    
+    state.editor.previewQuestions = questions;
+    state.testType = state.editor.section;
+    state.testMode = 'preview';
+    state.currentTopic = topic;
+    resetTestProgress();
+    state.currentTest = tagTopicQuestions(state.editor.section, { ...topic, questions });
+    
+    document.getElementById('test-topic').textContent = getTestTitle();
+    document.getElementById('total-questions').textContent = state.currentTest.length;
+    
+    showPage('testSection');
+    renderQuestion();
+}
+
+function returnToEditor() {
+    renderEditor();
+    showPage('editor');
+}
+
+function exportBank() {
+    const bank = {};
+    Object.keys(CONTENT_FILES).forEach(type => {
+        bank[type] = { section: type, topics: mergeTopics(builtInContent[type], getCustomBank()[type]) };
+    });
+    
+    const blob = new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `cozy-english-bank-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    // Some browsers start the download asynchronously, so keep the URL alive for a while
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+// Accepts either a whole exported bank or a single section file (data/*.json)
+function importBank(text, fileName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        showEditorMessage(t('editor.invalidJson', { file: fileName, error: e.message }), true);
+        return;
+    }
+    
+    const sections = data && data.section && data.topics ? { [data.section]: data } : data;
+    const types = Object.keys(sections || {}).filter(type => CONTENT_FILES[type]);
+    if (types.length === 0) {
+        showEditorMessage(t('editor.noSections', { file: fileName }), true);
+        return;
+    }
+    
+    const errors = types.flatMap(type => validateContent(sections[type], `${fileName} › ${type}`).errors);
+    if (errors.length > 0) {
+        showEditorMessage(t('editor.importFailed', { errors: errors.join(' • ') }), true);
+        return;
+    }
+    
+    types.forEach(type => saveCustomSection(type, sections[type].topics));
+    openEditor(state.editor.section);
+    showEditorMessage(t('editor.imported', { sections: types.map(type => t(`section.${type}`)).join(', '), file: fileName }));
+}
+
+function resetEditorSection() {
+    const type = state.editor.section;
+    if (!confirm(t('editor.confirmReset', { section: t(`section.${type}`) }))) return;
+    
+    const bank = getCustomBank();
+    delete bank[type];
+    saveStored('customBank', bank);
+    refreshRegistry(type);
+    openEditor(type);
+    showEditorMessage(t('editor.restored', { section: t(`section.${type}`) }));
+}
+
+function setupEditorListeners() {
+    document.getElementById('edit-topics-btn').addEventListener('click', () => {
+        openEditor(state.testType || 'grammar');
+    });
+    
+    document.querySelectorAll('.editor-tab').forEach(tab => {
+        tab.addEventListener('click', () => openEditor(tab.dataset.section));
+    });
+    
+    const editorSection = pages.editor;
+    editorSection.addEventListener('click', handleEditorClick);
+    editorSection.addEventListener('input', handleEditorInput);
+    editorSection.addEventListener('change', handleEditorChange);
+    
+    document.getElementById('export-bank-btn').addEventListener('click', exportBank);
+    document.getElementById('reset-bank-btn').addEventListener('click', resetEditorSection);
+    document.getElementById('import-bank-input').addEventListener('change', e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        file.text().then(text => importBank(text, file.name));
+        e.target.value = '';
+    });
+}
+
+// Profiles
+// Each learner on a shared device picks their profile before practising. Switching
+// loads that profile's history, review queue, settings, language and saved test.
+function getProfiles() {
+    return loadStored('profiles', null) || [{ id: DEFAULT_PROFILE_ID, name: '', avatar: PROFILE_AVATARS[0] }];
+}
+
+function getActiveProfile() {
+    const profiles = getProfiles();
+    return profiles.find(profile => profile.id === state.profileId) || profiles[0];
+}
+
+// The profile that was in use when the page was last open
+function loadActiveProfile() {
+    const profiles = getProfiles();
+    const id = loadStored('activeProfile', DEFAULT_PROFILE_ID);
+    state.profileId = (profiles.find(profile => profile.id === id) || profiles[0]).id;
+}
+
+function getProfileName(profile) {
+    return profile.name || t('profiles.defaultName');
+}
+
+function openProfiles() {
+    renderProfiles();
+    showPage('profiles');
+}
+
+function renderProfiles() {
+    document.getElementById('profile-list').innerHTML = getProfiles().map(profile => {
+        const isActive = profile.id === state.profileId;
+        const name = escapeHtml(getProfileName(profile));
+        
+        // The profile in use can't be deleted, so there is always one left
+        const actions = isActive
+            ? `<span class="profile-current"><i class="fas fa-check"></i> ${t('profiles.current')}</span>`
+            : `
+                <button class="action-btn primary" data-switch-profile="${escapeHtml(profile.id)}">
+                    <i class="fas fa-sign-in-alt"></i> ${t('profiles.switch')}
+                </button>
+                <button class="action-btn" data-delete-profile="${escapeHtml(profile.id)}" aria-label="${escapeHtml(t('profiles.delete', { name: getProfileName(profile) }))}">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            `;
+        
+        return `
+            <div class="profile-card ${isActive ? 'active' : ''}">
+                <span class="profile-avatar" aria-hidden="true">${escapeHtml(profile.avatar)}</span>
+                <span class="profile-card-name">${name}</span>
+                <div class="profile-actions">${actions}</div>
+            </div>
+        `;
+    }).join('');
+    
+    const picked = document.querySelector('#avatar-picker input:checked');
+    const avatar = picked ? picked.value : PROFILE_AVATARS[0];
+    document.getElementById('avatar-options').innerHTML = PROFILE_AVATARS.map(option => `
+        <label class="avatar-option">
+            <input type="radio" name="profile-avatar" value="${option}" ${option === avatar ? 'checked' : ''}>
+            <span>${option}</span>
+        </label>
+    `).join('');
+}
+
+// The current profile is shown in the header on every page
+function renderProfileBadge() {
+    const profile = getActiveProfile();
+    document.getElementById('profile-badge-avatar').textContent = profile.avatar;
+    document.getElementById('profile-badge-name').textContent = getProfileName(profile);
+}
+
+function createProfile(name, avatar) {
+    const profile = { id: `p${Date.now().toString(36)}`, name, avatar };
+    saveStored('profiles', [...getProfiles(), profile]);
+    
+    // A new profile starts in the language the app is showing
+    saveStored('locale', state.locale, profile.id);
+    switchProfile(profile.id);
+}
+
+async function switchProfile(id) {
+    state.profileId = id;
+    saveStored('activeProfile', id);
+    
+    // The last results belong to the previous learner
+    state.resultsReady = false;
+    syncSettingControls();
+    migrateReviewItems();
+    await setLocale(getStoredLocale());
+    
+    // The new learner starts a fresh visit, so Back can't reopen the previous learner's pages
+    showPage('home', true);
+    history.replaceState({ depth: 0, profileId: id }, '', location.hash);
+}
+
+function deleteProfile(id) {
+    const profile = getProfiles().find(p => p.id === id);
+    if (!profile || id === state.profileId) return;
+    if (!confirm(t('profiles.confirmDelete', { name: getProfileName(profile) }))) return;
+    
+    saveStored('profiles', getProfiles().filter(p => p.id !== id));
+    PROFILE_KEYS.forEach(key => {
+        try {
+            localStorage.removeItem(getStorageKey(key, id));
+        } catch (e) {
+            console.warn(`Could not remove "${key}" from local storage`, e);
+        }
+    });
+    renderProfiles();
+}
+
+function setupProfileControls() {
+    document.getElementById('profile-badge').addEventListener('click', () => {
+        if (isTestInProgress()) {
+            if (!confirm(t('test.confirmLeave'))) return;
+            saveActiveTest();
+        }
+        openProfiles();
+    });
+    
+    document.getElementById('profile-list').addEventListener('click', (e) => {
+        const switchButton = e.target.closest('[data-switch-profile]');
+        const deleteButton = e.target.closest('[data-delete-profile]');
+        
+        if (switchButton) {
+            switchProfile(switchButton.dataset.switchProfile);
+        } else if (deleteButton) {
+            deleteProfile(deleteButton.dataset.deleteProfile);
+        }
+    });
+    
+    document.getElementById('profile-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('new-profile-name');
+        const name = input.value.trim();
+        if (!name) {
+            input.focus();
+            return;
+        }
+        
+        input.value = '';
+        createProfile(name, document.querySelector('#avatar-picker input:checked').value);
+    });
+}
+
+// Settings
+function getSettings() {
+    return { ...DEFAULT_SETTINGS, ...loadStored('settings', {}) };
+}
+
+function updateSetting(key, value) {
+    const settings = getSettings();
+    settings[key] = value;
+    saveStored('settings', settings);
+    syncSettingControls();
+}
+
+// Several pages show the same setting, so keep every copy of a control in sync
+function syncSettingControls() {
+    const settings = getSettings();
+    
+    document.querySelectorAll('[data-setting]').forEach(control => {
+        const value = settings[control.dataset.setting];
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else {
+            control.value = String(value);
+        }
+    });
+}
+
+function setupSettingControls() {
+    document.querySelectorAll('[data-setting]').forEach(control => {
+        control.addEventListener('change', () => {
+            const key = control.dataset.setting;
+            let value = control.value;
+            
+            if (control.type === 'checkbox') {
+                value = control.checked;
+            } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+                value = Number(value);
+            }
+            updateSetting(key, value);
+        });
+    });
+    
+    syncSettingControls();
+}
+
+// Localization
+// Catalogs map message keys to text. Plural messages are objects keyed by
+// plural category ({ one, few, many, other }) and picked with the "count" param.
+const catalogs = {};
+
+async function loadCatalog(locale) {
+    if (catalogs[locale]) return;
+    
+    try {
+        const response = await fetch(`locales/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        catalogs[locale] = await response.json();
+    } catch (e) {
+        console.warn(`Could not load the "${locale}" messages`, e);
+        catalogs[locale] = {};
+    }
+}
+
+function hasMessage(key) {
+    return key in (catalogs[state.locale] || {}) || key in (catalogs[DEFAULT_LOCALE] || {});
+}
+
+// Looks up a message in the current language (falling back to English, then the key itself)
+// and fills in {placeholders}, e.g. t('topics.best', { score: 80 })
+function t(key, params = {}) {
+    const current = catalogs[state.locale] || {};
+    let message = key in current ? current[key] : (catalogs[DEFAULT_LOCALE] || {})[key];
+    
+    if (message === undefined) return key;
+    
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(state.locale).select(params.count);
+        message = message[category] || message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Translates the static markup. The text of a [data-i18n] element is its last
+// text node, so icons in front of it are kept.
+function translatePage() {
+    document.documentElement.lang = state.locale;
+    
+    document.querySelectorAll('[data-i18n]').forEach(translateElement);
+    
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    
+    document.querySelectorAll('.locale-select').forEach(select => {
+        select.value = state.locale;
+    });
+}
+
+function translateElement(el) {
+    const params = el.dataset.i18nCount ? { count: Number(el.dataset.i18nCount) } : {};
+    const text = t(el.dataset.i18n, params);
+    const textNode = [...el.childNodes].reverse().find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    
+    if (textNode) {
+        textNode.textContent = textNode.textContent.replace(textNode.textContent.trim(), text);
+    } else {
+        el.appendChild(document.createTextNode(text));
+    }
+}
+
+async function setLocale(locale) {
+    if (!LOCALES[locale]) return;
+    
+    await loadCatalog(locale);
+    state.locale = locale;
+    saveStored('locale', locale);
+    translatePage();
+    updateResumeBanners();
+    
+    // Redraw the page that is showing. Tests keep their unsubmitted work, so
+    // only their labels are updated.
+    if (state.currentPage === 'home') {
+        updateReviewBanner();
+    } else if (state.currentPage === 'topicSelection') {
+        showTopicSelection(state.testType, state.topicAction);
+    } else if (state.currentPage === 'flashcards') {
+        renderFlashcards();
+    } else if (state.currentPage === 'builder') {
+        renderBuilder();
+    } else if (state.currentPage === 'testSection') {
+        const question = state.currentTest[state.currentQuestionIndex];
+        const userAnswer = state.userAnswers[state.currentQuestionIndex];
+        document.getElementById('test-topic').textContent = getTestTitle();
+        document.getElementById('question-type').textContent = getQuestionTypeLabel(question.type);
+        if (question.type === 'error-correction') {
+            document.getElementById('question-text').textContent = t('test.errorCorrectionPrompt');
+        }
+        renderSpeakingControls(question, userAnswer);
+        renderHints(question, userAnswer);
+        if (isInteractiveType(question.type)) {
+            renderInteractiveQuestion(question, userAnswer);
+        } else if (userAnswer && userAnswer.checked) {
+            showFeedback(userAnswer.result, getCorrectAnswerText(question));
+        }
+    } else if (state.currentPage === 'resultsSection') {
+        renderResults();
+    } else if (state.currentPage === 'answerReview') {
+        renderResults();
+        document.querySelector('#topic-filter option[value=""]').textContent = t('review.allTopics');
+        renderAnswerReview();
+    } else if (state.currentPage === 'editor') {
+        renderEditor();
+    } else if (state.currentPage === 'profiles') {
+        renderProfiles();
+    }
+    renderProfileBadge();
+}
+
+// The language the current profile picked last time
+function getStoredLocale() {
+    const locale = loadStored('locale', DEFAULT_LOCALE);
+    return LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+function setupLocaleControls() {
+    document.querySelectorAll('.locale-select').forEach(select => {
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+}
+
+// Offline support
+// sw.js keeps the app and the question banks cached. When it finds newer files
+// on the server, it asks the learner to reload instead of swapping them mid-test.
+function setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    const banner = document.getElementById('update-banner');
+    let registration = null;
+    let reloadOnChange = false;
+    
+    const showUpdateBanner = (kind) => {
+        const message = document.getElementById('update-message');
+        message.dataset.i18n = `update.${kind}`;
+        translateElement(message);
+        banner.style.display = 'block';
+    };
+    
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'update-available') {
+            showUpdateBanner(e.data.kind);
+        }
+    });
+    
+    // Only reload for a new worker the learner asked for, not the first install
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnChange) location.reload();
+    });
+    
+    navigator.serviceWorker.register('sw.js').then(reg => {
+        registration = reg;
+        if (reg.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner('app');
+        }
+        
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner('app');
+                }
+            });
+        });
+    }).catch(error => console.warn('Service worker registration failed', error));
+    
+    document.getElementById('update-reload-btn').addEventListener('click', () => {
+        // A test in progress is saved on pagehide, so reloading doesn't lose it
+        if (registration && registration.waiting) {
+            reloadOnChange = true;
+            registration.waiting.postMessage({ type: 'skip-waiting' });
+        } else {
+            location.reload();
+        }
+    });
+    
+    document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+        banner.style.display = 'none';
+    });
+}
+
+// Utility functions
+function shuffleArray(array, random = Math.random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Formats milliseconds as "1:05" (clock) or "1m 5s" (duration)
+function formatDuration(ms, asClock = false) {
+    const totalSeconds = asClock ? Math.ceil(ms / 1000) : Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (asClock) {
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Initialize the application
+async function init() {
+    setupEventListeners();
+    setupEditorListeners();
+    setupFlashcardListeners();
+    setupBuilderListeners();
+    setupResumeControls();
+    setupRouter();
+    setupKeyboardControls();
+    setupSettingControls();
+    setupSpeechControls();
+    setupLocaleControls();
+    setupAttemptCodeForms();
+    setupServiceWorker();
+    
+    setupProfileControls();
+    
+    loadActiveProfile();
+    state.locale = getStoredLocale();
+    await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(state.locale)]);
+    translatePage();
+    renderProfileBadge();
+    
+    await loadContent();
+    migrateReviewItems();
+    followRoute(true);
 }
 
 // Start the application when DOM is loaded
@@ -0,0 +1,119 @@
+// Cozy English Academy - Service worker
+// Keeps the app and its question banks available offline.
+
+// Bump the version when the list of files below changes
+const CACHE_NAME = 'cozy-english-v1';
+
+// Files the app can't start without. Installing fails if any of them can't be fetched.
+const APP_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'data/grammar.json',
+    'data/vocabulary.json',
+    'locales/en.json',
+    'locales/ru.json'
+];
+
+// Icons come from a CDN. They are cached when possible, but a CDN hiccup shouldn't stop the install.
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+const CDN_FILES = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-v4compatibility.woff2`
+];
+
+// Content that is checked for updates every time it is used
+const CONTENT_PATTERN = /\/(data|locales)\/[^/]+\.json$/;
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all([
+        cache.addAll(APP_FILES),
+        ...CDN_FILES.map(url => cache.add(url).catch(error => console.warn(`Could not cache ${url}`, error)))
+    ])));
+});
+
+// Drops the caches of older versions
+self.addEventListener('activate', (e) => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page asks a waiting worker to take over once the learner agrees to reload
+self.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        e.respondWith(serveLocal(request, e));
+    } else {
+        e.respondWith(serveRemote(request));
+    }
+});
+
+// Local files are answered from the cache straight away and refreshed in the background.
+// When a refreshed file differs from the cached copy, open pages are told an update is ready.
+async function serveLocal(request, event) {
+    const cache = await caches.open(CACHE_NAME);
+    
+    // Every page of the app is index.html (pages live in the URL hash)
+    const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+    const cached = await cache.match(cacheKey, { ignoreSearch: true });
+    // The cached copy is compared with the fresh one after it has been handed out, so compare a clone
+    const refresh = refreshLocal(cache, request, cacheKey, cached ? cached.clone() : null);
+    
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function refreshLocal(cache, request, cacheKey, cached) {
+    // Navigation requests can't be copied with new options, so they are fetched by URL
+    const response = await fetch(request.mode === 'navigate' ? request.url : request, { cache: 'no-cache' });
+    if (!response.ok) return response;
+    
+    if (cached) {
+        const [oldText, newText] = await Promise.all([cached.text(), response.clone().text()]);
+        if (oldText !== newText) {
+            await cache.put(cacheKey, response.clone());
+            notifyClients(CONTENT_PATTERN.test(new URL(request.url).pathname) ? 'content' : 'app');
+        }
+    } else {
+        await cache.put(cacheKey, response.clone());
+    }
+    return response;
+}
+
+// Fonts and icons never change under the same URL, so the cached copy is always used
+async function serveRemote(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function notifyClients(kind) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'update-available', kind }));
+}